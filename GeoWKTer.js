@@ -43,11 +43,16 @@ var GeoWKTer = (function () {
     this.features = []; // Initialize an array to store parsed feature data
     this.regExes = {
       // Regular expressions for parsing WKT strings
-      typeStr: /^\s*(\w+)\s*\((.*)\)\s*$/, // Capture geometry type and contents
       spaces: /\s+|\+/, // Detect spaces or plus signs for splitting coordinates
       comma: /\s*,\s*/, // Capture commas surrounded by optional whitespace
       parenComma: /\)\s*,\s*\(/, // Split on closing parentheses followed by a comma and opening parentheses
     };
+    // Capture geometry type and contents; built on each use, so it knows every registered type
+    Object.defineProperty(this.regExes, "typeStr", {
+      enumerable: true,
+      get: () => new RegExp(`^\\s*(${this.geometryTypeNames().join("|")})(?:\\s+(?:ZM|Z|M))?\\s*\\((.*)\\)\\s*$`, "i"),
+    });
+    this.geometryTypes = {}; // Geometry types registered on this instance only (see registerType)
   }
 
   /*****************************************
@@ -76,448 +81,6005 @@ var GeoWKTer = (function () {
       .trim(); // Trim leading and trailing whitespaces
   };
 
+  /***************************************
+   * Repair Common Mistakes in WKT
+   * Fixes the predictable problems of hand-typed and exported WKT, as `read`
+   * does with the `repair` option, and reports every change it makes:
+   * - type names split by spaces or underscores ("multi polygon", "MULTI_POLYGON")
+   *   or run into their dimension keyword ("POINTZ");
+   * - coordinates written as comma-separated values ("1,2, 3,4" or "(1, 2)"),
+   *   with decimal commas ("1,5 2,5"), or separated by "+" signs;
+   * - vertices with a NaN or infinite value, which are dropped; a coordinate
+   *   list left without vertices becomes EMPTY;
+   * - polygon, triangle and surface rings that do not end where they start,
+   *   which are closed by repeating their first vertex;
+   * - an unmatched ")" (removed) and missing ")" at the end (added).
+   *
+   * A coordinate list that reads correctly as standard WKT is left as it is, so
+   * valid WKT comes back unchanged and without warnings. Problems it cannot
+   * repair are left for the parser to report.
+   *
+   * @param {string} wkt - The WKT (or EWKT) text of one geometry.
+   * @returns {Object} - An object with:
+   *                      - wkt: the repaired text.
+   *                      - warnings: one `{message, offset, line, column}` entry per change,
+   *                        in text order, positioned in the original `wkt`.
+   ****************************************/
+  GeoWKTer.prototype.repairWKT = function (wkt) {
+    const tokens = this.scanRepairTokens(wkt);
+    const sizes = { Z: 3, M: 3, ZM: 4 };
+    // How deep below its type name each ring of a polygon or surface lies
+    const ringDepths = {
+      POLYGON: 2,
+      TRIANGLE: 2,
+      CURVEPOLYGON: 2,
+      MULTIPOLYGON: 3,
+      TIN: 3,
+      POLYHEDRALSURFACE: 3,
+      MULTISURFACE: 3,
+    };
+    const edits = [];
+    const warnings = [];
+    const warn = (message, offset) => warnings.push(Object.assign({ message, offset }, this.textPosition(wkt, offset)));
+    const stack = []; // One frame per open parenthesis: the type it belongs to and the depth below it
+    let missing = 0;
+    let type; // The type name (and its dimension keyword) waiting for its opening parenthesis
+    let keyword;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (token.type === "word") {
+        const name = this.matchTypeName(tokens, i);
+        if (name) {
+          const last = tokens[i + name.count - 1];
+          const original = wkt.slice(token.start, last.end);
+          const text = name.keyword ? `${name.type} ${name.keyword}` : name.type;
+          if (original.toUpperCase() !== text) {
+            edits.push({ start: token.start, end: last.end, text });
+            warn(`Read "${original}" as ${text}`, token.start);
+          }
+          type = name.type;
+          keyword = name.keyword;
+          i += name.count - 1;
+        } else if (type && /^(ZM|Z|M)$/i.test(token.value)) {
+          keyword = token.value.toUpperCase();
+        }
+        continue;
+      }
+
+      if (token.type === ")") {
+        if (stack.length) {
+          stack.pop();
+        } else {
+          edits.push({ start: token.start, end: token.end, text: "" });
+          warn('Removed unmatched ")"', token.start);
+        }
+        continue;
+      }
+      if (token.type !== "(") continue;
+
+      const outer = stack[stack.length - 1];
+      const frame = type
+        ? { type, keyword, depth: 1 }
+        : outer
+        ? Object.assign({}, outer, { depth: outer.depth + 1 })
+        : {};
+      type = undefined;
+      keyword = undefined;
+
+      // A parenthesis holding numbers and separators only is a coordinate list
+      let end = i + 1;
+      while (end < tokens.length && !["(", ")", "word"].includes(tokens[end].type)) end++;
+      const closed = end < tokens.length && tokens[end].type === ")";
+      const items = tokens.slice(i + 1, end);
+      if (!(closed || end === tokens.length) || !items.some((item) => item.type === "number")) {
+        stack.push(frame);
+        continue;
+      }
+
+      const settings = {
+        size: sizes[frame.keyword],
+        ring: ringDepths[frame.type] === frame.depth,
+        end: closed ? tokens[end].start : wkt.length,
+      };
+      const repaired = this.repairCoordinateList(items, settings, warn);
+      if (repaired) {
+        const last = closed ? tokens[end] : items[items.length - 1];
+        const text = repaired.empty ? " EMPTY" : `(${repaired.text}${closed ? ")" : ""}`;
+        edits.push({ start: token.start, end: last.end, text });
+        if (!closed && repaired.empty) missing--; // EMPTY needs no closing parenthesis
+      }
+      if (!closed) missing++;
+      i = closed ? end : end - 1;
+    }
+
+    missing += stack.length;
+    if (missing > 0) {
+      edits.push({ start: wkt.length, end: wkt.length, text: ")".repeat(missing) });
+      warn(missing === 1 ? 'Added a missing ")"' : `Added ${missing} missing ")"`, wkt.length);
+    }
+
+    // Apply the edits from the end, so earlier offsets stay valid
+    const repairedText = edits
+      .sort((a, b) => b.start - a.start)
+      .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), wkt);
+    return { wkt: repairedText, warnings: warnings.sort((a, b) => a.offset - b.offset) };
+  };
+
+  /***************************************
+   * Split WKT Text into Tokens for Repair
+   * More lenient than `WKTTokenizer`: NaN and Infinity (or inf) are read as
+   * numbers, "+" is a token of its own when it is not a sign, and any other
+   * character becomes an "other" token instead of an error.
+   *
+   * @param {string} text - The WKT text.
+   * @returns {Object[]} - Tokens with `type` ("number", "word", "other" or the punctuation
+   *                       itself), `value`, `start` and `end` offsets, `space` (true when
+   *                       whitespace comes before the token) and, for numbers, `number`.
+   ****************************************/
+  GeoWKTer.prototype.scanRepairTokens = function (text) {
+    const pattern =
+      /(\s*)(?:([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?|[-+]?(?:nan|inf(?:inity)?)(?![\w.]))|([a-z_]\w*)|([(),;=+])|(\S))/iy;
+    const tokens = [];
+    let match;
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+      const value = match[0].slice(match[1].length);
+      const token = { value, start: match.index + match[1].length, end: pattern.lastIndex, space: match[1] !== "" };
+      if (match[2] !== undefined) {
+        token.type = "number";
+        const sign = value[0] === "-" ? -1 : 1;
+        token.number = /nan/i.test(value) ? NaN : /inf/i.test(value) ? sign * Infinity : Number(value);
+      } else {
+        token.type = match[3] !== undefined ? "word" : match[4] !== undefined ? value : "other";
+      }
+      tokens.push(token);
+    }
+    return tokens;
+  };
+
+  /***************************************
+   * Match a Geometry Type Name for Repair
+   * Up to three consecutive words are joined, with underscores removed, so
+   * "MULTI POLYGON" and "multi_polygon" match MULTIPOLYGON. A single word may
+   * also carry its dimension keyword, as in "POINTZ".
+   *
+   * @param {Object[]} tokens - The tokens from `scanRepairTokens`.
+   * @param {number} index - The index of the first word.
+   * @returns {Object|undefined} - `{type, keyword, count}`, with `count` the number of words
+   *                               used, or undefined when the words name no geometry type.
+   ****************************************/
+  GeoWKTer.prototype.matchTypeName = function (tokens, index) {
+    const typeNames = this.geometryTypeNames();
+    const words = [];
+    for (let i = index; i < tokens.length && words.length < 3 && tokens[i].type === "word"; i++) {
+      words.push(tokens[i].value);
+    }
+
+    for (let count = words.length; count >= 1; count--) {
+      const joined = words.slice(0, count).join("").replace(/_/g, "").toUpperCase();
+      if (typeNames.includes(joined)) {
+        return { type: joined, keyword: undefined, count };
+      }
+      const glued = count === 1 && /^(.*?)(ZM|Z|M)$/.exec(joined);
+      if (glued && typeNames.includes(glued[1])) {
+        return { type: glued[1], keyword: glued[2], count };
+      }
+    }
+    return undefined;
+  };
+
+  /***************************************
+   * Repair One Coordinate List
+   * The values are read as standard WKT if that gives vertices of one size.
+   * Otherwise commas with digits right against both sides are read as decimal
+   * commas, and failing that, a list separated by commas alone is read as
+   * consecutive values (x, y, x, y, ...).
+   *
+   * @param {Object[]} tokens - The tokens between the list's parentheses.
+   * @param {Object} settings - `size`: the vertex size its dimension keyword declares;
+   *                            `ring`: true when the list is a polygon ring; `end`: the
+   *                            offset of its closing parenthesis.
+   * @param {Function} warn - Called with the message and offset of each change.
+   * @returns {Object|undefined} - `{text}` with the repaired list (without parentheses), or
+   *                               `{empty: true}` when no vertex is left; undefined when the
+   *                               list needs no change or cannot be repaired.
+   ****************************************/
+  GeoWKTer.prototype.repairCoordinateList = function (tokens, settings, warn) {
+    // Each value records the separator before it: "space", "comma", or "tight" for a
+    // comma with digits right against both sides
+    const values = [];
+    let separator;
+    let comma; // Offset of the comma before the next value
+    let plus; // Offset of the first "+" used as a separator
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type === "number") {
+        let text = token.value;
+        if (text[0] === "+" && !token.space && values.length && separator === undefined) {
+          plus = plus !== undefined ? plus : token.start; // "1+2", where the tokenizer sees a sign
+          text = text.slice(1);
+        }
+        values.push({ text, number: token.number, start: token.start, separator: separator || "space", comma });
+        separator = undefined;
+        comma = undefined;
+      } else if (token.type === "," && values.length && separator !== "comma" && separator !== "tight") {
+        const next = tokens[i + 1];
+        const tight = !token.space && next && !next.space && next.type === "number" && tokens[i - 1].type === "number";
+        separator = tight ? "tight" : "comma";
+        comma = token.start;
+      } else if (token.type === "+") {
+        plus = plus !== undefined ? plus : token.start;
+        separator = separator || "space";
+      } else {
+        return undefined;
+      }
+    }
+    if (separator !== undefined) return undefined; // A trailing comma is left for the parser
+
+    const split = (list) =>
+      list.reduce((vertices, value, index) => {
+        if (index === 0 || value.separator !== "space") vertices.push([value]);
+        else vertices[vertices.length - 1].push(value);
+        return vertices;
+      }, []);
+    const fits = (vertices) =>
+      vertices.every((vertex) => vertex.length === vertices[0].length) &&
+      (settings.size ? vertices[0].length === settings.size : vertices[0].length >= 2 && vertices[0].length <= 4);
+
+    let vertices = split(values);
+    if (!fits(vertices)) {
+      // Join "1,5" into 1.5 where the comma can be a decimal comma
+      const decimals = values.reduce((list, value) => {
+        const last = list[list.length - 1];
+        if (value.separator === "tight" && /^[-+]?\d+$/.test(last.text) && /^\d+$/.test(value.text)) {
+          const text = `${last.text}.${value.text}`;
+          list[list.length - 1] = Object.assign({}, last, { text, number: Number(text), decimal: value.comma });
+        } else {
+          list.push(value);
+        }
+        return list;
+      }, []);
+      const sizes = settings.size ? [settings.size] : [2, 3, 4];
+      const size = sizes.find((candidate) => values.length % candidate === 0);
+
+      if (decimals.length < values.length && fits(split(decimals))) {
+        vertices = split(decimals);
+        warn("Read decimal commas as decimal points", decimals.find((value) => value.decimal !== undefined).decimal);
+      } else if (values.every((value, index) => index === 0 || value.separator !== "space") && size) {
+        vertices = values.reduce((groups, value, index) => {
+          if (index % size === 0) groups.push([]);
+          groups[groups.length - 1].push(value);
+          return groups;
+        }, []);
+        warn(`Read comma-separated values as vertices of ${size} values`, values[0].start);
+      } else {
+        return undefined;
+      }
+    } else if (plus === undefined && vertices.every((vertex) => vertex.every((value) => isFinite(value.number)))) {
+      // Standard WKT needs no repair unless a ring is left open
+      const first = vertices[0];
+      const last = vertices[vertices.length - 1];
+      const open = first.some((value, index) => value.number !== last[index].number);
+      if (!settings.ring || vertices.length < 3 || !open) return undefined;
+    }
+    if (plus !== undefined) {
+      warn('Replaced "+" separators with spaces', plus);
+    }
+
+    const text = (vertex) => vertex.map((value) => value.text).join(" ");
+    const kept = vertices.filter((vertex) => {
+      if (vertex.every((value) => isFinite(value.number))) return true;
+      warn(`Dropped vertex "${text(vertex)}" with a non-finite value`, vertex[0].start);
+      return false;
+    });
+    if (!kept.length) {
+      return { empty: true };
+    }
+
+    const first = kept[0];
+    const last = kept[kept.length - 1];
+    if (settings.ring && kept.length >= 3 && first.some((value, index) => value.number !== last[index].number)) {
+      kept.push(first);
+      warn(`Closed ring by repeating its first vertex "${text(first)}"`, settings.end);
+    }
+    return { text: kept.map(text).join(", ") };
+  };
+
+  /***************************************
+   * Find the Line and Column of an Offset
+   * @param {string} text - The text.
+   * @param {number} offset - A zero-based offset into the text.
+   * @returns {Object} - The one-based `line` and `column`, counting \n, \r\n and \r as line breaks.
+   ****************************************/
+  GeoWKTer.prototype.textPosition = function (text, offset) {
+    const lineBreak = /\r\n|\r|\n/g;
+    let line = 1;
+    let lineStart = 0;
+    let match;
+    while ((match = lineBreak.exec(text)) && match.index < offset) {
+      line++;
+      lineStart = match.index + match[0].length;
+    }
+    return { line, column: offset - lineStart + 1 };
+  };
+
   /***************************************
    * Read WKT and Convert to Internal Representation
-   * This function takes a Well-Known Text (WKT) string, processes it to produce
-   * a cleaned and standardized version, and then converts it to an internal data
-   * structure that represents the geometry for further processing or transformation
-   * to GeoJSON. This step is crucial for understanding and manipulating spatial data.
+   * This function takes a Well-Known Text (WKT) string, parses it, and converts it
+   * to an internal data structure that represents the geometry for further
+   * processing or transformation to GeoJSON. This step is crucial for understanding
+   * and manipulating spatial data.
    *
    * @param {string} wktText - The original WKT string representing a geometry or
    *                           collection of geometries (e.g., POINT, POLYGON).
    * @param {string} label - A descriptive label or identifier associated with the
    *                         geometry, which will be stored for use in GeoJSON properties.
+   * @param {Object} [options] - Parsing options:
+   *                             - measures: what to do with M values, either "drop"
+   *                               (default) or "property" to keep them in a `measures`
+   *                               array that `toGeoJSON` writes to the Feature properties.
+   *                             - transform: reproject the geometry, given as a target SRID
+   *                               or as `{from, to}` SRIDs; see `transformRecord`.
+   *                             - axisOrder: the order of the first two values in each position:
+   *                               "xy" (as written), "yx" (swap them) or "auto" (swap them when
+   *                               they look like latitude/longitude); see `applyAxisOrder`.
+   *                             - expectedExtent: `[minX, minY, maxX, maxY]` the data should fall
+   *                               within, to help "auto" decide.
+   *                             - strict: when true, the geometry is checked with `validate`
+   *                               and rejected if it has any error (default: false).
+   *                             - properties: attributes to store on the record, which
+   *                               `toGeoJSON` copies into the Feature properties; either an
+   *                               object, or a function called with the record that returns one.
+   *                             - linearize: `{maxAngle, maxError}` limits for the segments
+   *                               that replace arcs; see `linearizeSettings`.
+   *                             - repair: when true, common mistakes such as open rings,
+   *                               a missing final ")" or decimal commas are fixed before
+   *                               parsing; see `repairWKT` (default: false).
    * @returns {Object[]} - An array containing a single object with:
    *                        - type: the type of geometry (e.g., POINT, POLYGON).
    *                        - components: the coordinates or geometries depending on type.
+   *                          Z values are kept as the third ordinate; M values are removed.
+   *                        - dimension: the coordinate dimension, "XY", "XYZ", "XYM" or "XYZM".
+   *                        - measures: the M values, mirroring the coordinate nesting
+   *                          (only when `options.measures` is "property").
+   *                        - curve: for the curve types (CIRCULARSTRING, COMPOUNDCURVE,
+   *                          CURVEPOLYGON, MULTICURVE and MULTISURFACE), which are read as
+   *                          their linearized LINESTRING, POLYGON, MULTILINESTRING or
+   *                          MULTIPOLYGON, the curve definition that `toWKT` writes back out.
+   *                          Curved GEOMETRYCOLLECTION members carry their own `curve`.
+   *                        - srid: the SRID of an EWKT `SRID=n;` prefix, when present,
+   *                          or the target SRID of `options.transform`.
+   *                        - axisOrder: "xy", or "yx" when the positions were swapped
+   *                          (only when `options.axisOrder` is given).
+   *                        - properties: the attributes from `options.properties`, when given.
+   *                        - warnings: with `options.repair`, one `{message, offset, line,
+   *                          column}` entry per change made to the text (empty when the WKT
+   *                          needed none).
    *                        - label: the provided label for this geometry.
-   * @throws {Error} - Throws an error if the WKT is malformed or cannot be processed,
-   *                   indicating the WKT string is invalid or unsupported.
+   * @throws {WKTParseError} - Throws if the WKT is malformed or unsupported. The error's
+   *                           `offset`, `line`, `column` and `expected` properties
+   *                           point at the problem in `wktText`.
+   * @throws {GeometryValidationError} - In strict mode, throws if the geometry is invalid.
    *
    * Procedure:
-   * 1. Clean WKT String: Utilize `cleanWKTString` to standardize the WKT input,
-   *    handling cases like whitespace normalization, and ensuring it matches expected format.
+   * 1. Parse the WKT String: Pass the original WKT string to `wktToGeoJSON`, whose
+   *    tokenizer and recursive-descent parser accept any whitespace and line breaks,
+   *    so positions in errors refer to the text exactly as the user supplied it.
    *
-   * 2. Convert to GeoJSON: Pass the cleaned WKT string to `wktToGeoJSON` for transformation
-   *    into a GeoJSON-like structure. This process involves parsing the WKT syntax into
-   *    an object with a `type` and relevant coordinates or geometries attribute.
+   * 2. Convert to GeoJSON: The parser transforms the WKT syntax into a GeoJSON-like
+   *    structure: an object with a `type` and relevant coordinates or geometries attribute.
    *
    * 3. Construct Internal Representation: Return the parsed structure as a new object with:
    *    - `type`: Captured from the GeoJSON object.
    *    - `components`: The coordinates (or geometries array) reflecting the parsed data.
+   *    - `dimension`: The coordinate dimension checked by `applyDimension`.
+   *    - `srid`: The SRID of an EWKT prefix, if the input had one.
    *    - `label`: Passed through for later use in properties or identifications.
    *
    * 4. Error Handling: Any failure in parsing triggers an exception with a descriptive message,
    *    alerting the user or developer to malformed or unsupported inputs.
    ****************************************/
-  GeoWKTer.prototype.read = function (wktText, label) {
+  GeoWKTer.prototype.read = function (wktText, label, options = {}) {
     try {
-      // Clean and standardize the input WKT string
-      const cleanedWKT = this.cleanWKTString(wktText);
-
-      // Convert the cleaned WKT to a GeoJSON-like structure
-      const geoJSON = this.wktToGeoJSON(cleanedWKT);
+      // Convert the WKT to a GeoJSON-like structure
+      const geoJSON = this.wktToGeoJSON(wktText, options);
 
       // Return the internal representation with the given label
-      return [
-        {
-          type: geoJSON.type, // Extract the geometry type
-          components: geoJSON.coordinates || geoJSON.geometries, // Choose coordinates or geometries attribute based on type
-          label, // Add the provided label for future reference
-        },
-      ];
+      return [this.prepareRecord(geoJSON, label, options)];
     } catch (error) {
+      // Parse and validation errors carry their details; rethrow them unchanged
+      if (error instanceof WKTParseError || error instanceof GeometryValidationError) throw error;
+
       // Handle and throw errors related to malformed or unsupported WKT
       throw new Error(error.message);
     }
   };
 
   /***************************************
-   * Convert Internal Data Array to GeoJSON
-   * This function takes an array of internal data objects—each representing
-   * parsed WKT geometries—and converts them into a valid GeoJSON object.
-   * Specifically, it structures these geometries into GeoJSON features within
-   * a FeatureCollection, appropriately handling both individual geometries
-   * and collections of geometries.
-   *
-   * @param {Object[]} dataArray - An array of objects where each contains:
-   *                                - type: the geometric type (e.g., POINT, POLYGON).
-   *                                - components: either the coordinates of a
-   *                                  single geometry or an array of geometries.
-   *                                - label: optional description used as a property.
-   * @returns {Object} - GeoJSON object formatted as a FeatureCollection, comprising
-   *                     individual features with their associated geometries and properties.
-   *
-   * Steps Involved:
-   * 1. Initialize `features`: Accumulate each processed geometry into this array
-   *    as a GeoJSON `Feature`, maintaining a list to be included in the final
-   *    `FeatureCollection`.
+   * Read Many WKT Records from One Input
+   * This function reads text holding any number of WKT (or EWKT) geometries,
+   * one per line or separated by semicolons, such as a pasted list or an
+   * uploaded file. Records are split by parenthesis depth, so a geometry may
+   * span several lines (see `WKTRecordSplitter`). Each record is parsed on its
+   * own, so one bad record does not stop the rest from being read.
    *
-   * 2. Iterate Over Data Array: For each geometry object from the parsed internal
-   *    data:
-   *
-   *    - **Geometry Collections**:
-   *      - Identify the `GEOMETRYCOLLECTION` type and ensure `components` is an array.
-   *      - Iterate through each geometry in the collection, converting each into
-   *        a GeoJSON `Feature` by specifying its type and coordinates, and pushing
-   *        it to the `features` list.
-   *
-   *    - **Other Geometries**:
-   *      - Construct a GeoJSON `Feature` using the individual geometry's `type` and
-   *        `coordinates` directly.
-   *      - Append each to `features`, ensuring they include property details.
-   *
-   * 3. Construct FeatureCollection: Wrap the accumulated features array into a
-   *    GeoJSON formatted object by designating it as a `FeatureCollection`.
-   *
-   * WARNING: The input WKT geometries do not include spatial reference system (SRS) information.
-   * This function purely reformats the WKT to GeoJSON without assuming or verifying any particular
-   * coordinate reference system. If the input geometries are not in the standard EPSG:4326 (WGS 84),
-   * the resulting GeoJSON will also lack standard CRS information, which may lead to incorrect spatial
-   * data representation or interpretation.
-   * Users should ensure that the input data is in the intended coordinate system for their applications.
+   * @param {string} text - The input text.
+   * @param {string} label - A label stored on every record, as for `read`.
+   * @param {Object} [options] - Parsing options, as for `read`, plus:
+   *                             - failFast: when true, throw on the first bad record
+   *                               instead of collecting errors (default: false).
+   * @returns {Object} - An object with:
+   *                      - records: the internal records for every good geometry, in
+   *                        input order, ready for `toGeoJSON`.
+   *                      - errors: one entry per bad record, with its zero-based `index`
+   *                        among all records, the `message`, and the `offset`, `line`
+   *                        and `column` of the problem in `text`.
+   * @throws {WKTParseError} - With `failFast`, throws the first record's error, with its
+   *                           position relative to `text` and a `recordIndex` property.
    ****************************************/
-  GeoWKTer.prototype.toGeoJSON = function (dataArray) {
-    // Mapping object for GeoJSON type conversion
-    const geoJSONTypeMap = {
-      POINT: "Point",
-      LINESTRING: "LineString",
-      POLYGON: "Polygon",
-      MULTIPOINT: "MultiPoint",
-      MULTILINESTRING: "MultiLineString",
-      MULTIPOLYGON: "MultiPolygon",
-      GEOMETRYCOLLECTION: "GeometryCollection",
-    };
-
-    // Reduce the internal data array into a GeoJSON features array
-    const features = dataArray.reduce((accum, data) => {
-      const { type, components, label } = data; // Destructure for ease of use
-
-      // Convert type to uppercase and map to correct GeoJSON type
-      const geoJSONType = geoJSONTypeMap[type.toUpperCase()];
-
-      if (geoJSONType === "GeometryCollection" && Array.isArray(components)) {
-        // If it's a geometry collection, iterate over its components
-        components.forEach((geometry) => {
-          const geometryType = geoJSONTypeMap[geometry.type.toUpperCase()];
-          accum.push({
-            type: "Feature",
-            geometry: {
-              type: geometryType,
-              coordinates: geometry.coordinates,
-            },
-            properties: {
-              Name: label || "",
-            },
-          });
-        });
-      } else if (geoJSONType) {
-        // Handle non-collection geometries directly as a single GeoJSON feature
-        accum.push({
-          type: "Feature",
-          geometry: {
-            type: geoJSONType,
-            coordinates: components,
-          },
-          properties: {
-            Name: label || "",
-          },
+  GeoWKTer.prototype.readMany = function (text, label, options = {}) {
+    const splitter = new WKTRecordSplitter();
+    const segments = splitter.push(text).concat(splitter.end());
+    const records = [];
+    const errors = [];
+
+    segments.forEach((segment, index) => {
+      try {
+        records.push(this.readSegment(segment, label, options));
+      } catch (error) {
+        const located = this.locateRecordError(error, segment, index);
+        if (options.failFast) throw located;
+        errors.push({
+          index,
+          message: located.message,
+          offset: located.offset,
+          line: located.line,
+          column: located.column,
         });
       }
+    });
 
-      return accum; // Return the accumulator for the next iteration
-    }, []);
+    return { records, errors };
+  };
 
-    // Return the complete GeoJSON FeatureCollection with CRS info
+  /***************************************
+   * Read One Record Split from a Larger Input
+   * @param {Object} segment - The record's `text`, and its `offset`, `line` and `column`
+   *                           in the input.
+   * @param {string} label - A label stored on the record, as for `read`.
+   * @param {Object} [options] - Parsing options, as for `read`.
+   * @returns {Object} - The internal record, with any repair `warnings` positioned in the
+   *                     whole input.
+   ****************************************/
+  GeoWKTer.prototype.readSegment = function (segment, label, options = {}) {
+    const record = this.prepareRecord(this.wktToGeoJSON(segment.text, options), label, options);
+    if (record.warnings) {
+      record.warnings = record.warnings.map((warning) =>
+        Object.assign({ message: warning.message }, this.segmentPosition(segment, warning))
+      );
+    }
+    return record;
+  };
+
+  /***************************************
+   * Translate a Position in a Record to a Position in the Whole Input
+   * @param {Object} segment - The record's `offset`, `line` and `column` in the input.
+   * @param {Object} relative - An `offset`, `line` and `column` within the record's text.
+   * @returns {Object} - The `offset`, `line` and `column` in the whole input.
+   ****************************************/
+  GeoWKTer.prototype.segmentPosition = function (segment, relative) {
     return {
-      type: "FeatureCollection",
-      crs: {
-        type: "name",
-        properties: {
-          name: "EPSG:4326",
-        },
-      },
-      features: features,
+      offset: segment.offset + relative.offset,
+      line: segment.line + relative.line - 1,
+      column: relative.line === 1 ? segment.column + relative.column - 1 : relative.column,
     };
   };
 
   /***************************************
-   * Convert WKT to GeoJSON
-   * @param {string} wkt - The WKT string.
-   * @returns {Object} - GeoJSON object.
-   * @throws {Error} - Throws if WKT is unsupported or invalid.
+   * Translate a Record's Parse Error to a Position in the Whole Input
+   * @param {Error} error - The error thrown while parsing one record.
+   * @param {Object} segment - The record's `offset`, `line` and `column` in the input.
+   * @param {number} index - The record's zero-based index.
+   * @returns {WKTParseError} - An error whose position is relative to the whole input;
+   *                            errors without a position point at the record's start.
    ****************************************/
-  GeoWKTer.prototype.wktToGeoJSON = function (wkt) {
-    const match = this.regExes.typeStr.exec(wkt);
-    if (!match) throw new Error("Invalid WKT");
+  GeoWKTer.prototype.locateRecordError = function (error, segment, index) {
+    const relative = error instanceof WKTParseError ? error : { offset: 0, line: 1, column: 1 };
+    const { offset, line, column } = this.segmentPosition(segment, relative);
+    const reason = error.reason || error.message;
 
-    const type = match[1].toUpperCase();
-    const data = match[2];
+    const located = new WKTParseError(`${reason} at line ${line}, column ${column}`, {
+      offset,
+      line,
+      column,
+      expected: error.expected,
+      found: error.found,
+      reason,
+    });
+    located.recordIndex = index;
+    return located;
+  };
 
-    const parsers = {
-      POINT: this.parsePoint,
-      LINESTRING: this.parseLineString,
-      POLYGON: this.parsePolygon,
-      MULTIPOINT: this.parseMultiPoint,
-      MULTILINESTRING: this.parseMultiLineString,
-      MULTIPOLYGON: this.parseMultiPolygon,
-      GEOMETRYCOLLECTION: this.parseGeometryCollection,
-    };
+  /***************************************
+   * Read WKT Records from a Stream
+   * This function is the streaming form of `readMany`, for inputs too large to
+   * hold as one string, such as a multi-gigabyte dump of parcel polygons. Chunks
+   * are split into records as they arrive (see `WKTRecordSplitter`), and each
+   * record is parsed and yielded before the next chunk is read, so only the
+   * record being read is kept in memory. Memory is bounded per record, not per
+   * chunk: a single record, such as one 200 MB MULTIPOLYGON, is still collected
+   * into one string and parsed whole, so it must fit in memory.
+   *
+   * @param {ReadableStream|AsyncIterable|Iterable|string} source - A web ReadableStream,
+   *                  a Node Readable stream, or any (async) iterable of strings or bytes
+   *                  (UTF-8 unless `options.encoding` says otherwise). A string is
+   *                  read in chunks of `options.chunkSize` characters.
+   * @param {string} label - A label stored on every record, as for `read`.
+   * @param {Object} [options] - The `read` options, plus:
+   *                             - onError: called with `{index, message, offset, line, column}`
+   *                               (as in `readMany`) for each bad record, which is skipped. Without
+   *                               it, the first bad record's `WKTParseError` is thrown.
+   *                             - onProgress: called after each chunk with `{bytesRead, records,
+   *                               errors}`, where `bytesRead` counts bytes (or characters, for
+   *                               string chunks) and the others count records so far.
+   *                             - signal: an AbortSignal; aborting it stops reading, cancels the
+   *                               source and rejects with the signal's reason.
+   *                             - encoding: the text encoding of byte chunks (default: "utf-8").
+   *                             - chunkSize: characters per chunk for a string source (default: 65536).
+   * @returns {AsyncGenerator<Object>} - Yields the internal records, in input order.
+   * @throws {WKTParseError} - Without `onError`, throws the first bad record's error, with its
+   *                           position relative to the whole input.
+   *
+   * Example (Node):
+   *   for await (const record of geoWKTer.readStream(fs.createReadStream("parcels.wkt"))) { ... }
+   ****************************************/
+  GeoWKTer.prototype.readStream = async function* (source, label, options = {}) {
+    const splitter = new WKTRecordSplitter();
+    const progress = { bytesRead: 0, records: 0, errors: 0 };
+    let index = 0;
 
-    if (!parsers[type]) {
-      throw new Error(`Unsupported WKT type: ${type}`);
+    // Parse the completed records of one chunk
+    const parse = (segments) =>
+      segments.reduce((records, segment) => {
+        try {
+          records.push(this.readSegment(segment, label, options));
+          progress.records++;
+        } catch (error) {
+          const located = this.locateRecordError(error, segment, index);
+          if (!options.onError) throw located;
+          progress.errors++;
+          options.onError({
+            index,
+            message: located.message,
+            offset: located.offset,
+            line: located.line,
+            column: located.column,
+          });
+        }
+        index++;
+        return records;
+      }, []);
+
+    for await (const chunk of this.streamChunks(source, options)) {
+      progress.bytesRead += chunk.size;
+      const records = parse(splitter.push(chunk.text));
+      if (options.onProgress) options.onProgress(Object.assign({}, progress));
+      yield* records;
+      this.checkAborted(options.signal);
     }
+    yield* parse(splitter.end());
+  };
 
-    const result = parsers[type].call(this, data);
-    if (type === "GEOMETRYCOLLECTION") {
-      return { type, geometries: result };
+  /***************************************
+   * Read the Chunks of a Stream Source as Text
+   * @param {ReadableStream|AsyncIterable|Iterable|string} source - See `readStream`.
+   * @param {Object} [options] - The `readStream` options; `signal`, `encoding` and
+   *                             `chunkSize` are consulted.
+   * @returns {AsyncGenerator<Object>} - Yields `{text, size}` per chunk, where `size` is the
+   *                                     chunk's length in bytes (or characters, for strings).
+   * @throws {Error} - Throws if the source cannot be read, or the signal's reason on abort.
+   ****************************************/
+  GeoWKTer.prototype.streamChunks = async function* (source, options = {}) {
+    const { signal } = options;
+    this.checkAborted(signal);
+
+    if (typeof source === "string") {
+      const chunkSize = options.chunkSize || 65536;
+      for (let start = 0; start < source.length; start += chunkSize) {
+        yield { text: source.slice(start, start + chunkSize), size: Math.min(chunkSize, source.length - start) };
+      }
+      return;
+    }
+
+    // Web streams are read through a reader; Node streams and other iterables directly
+    const reader = source && typeof source.getReader === "function" ? source.getReader() : null;
+    let iterable;
+    if (reader) {
+      iterable = {
+        async *[Symbol.asyncIterator]() {
+          for (;;) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            yield value;
+          }
+        },
+      };
+    } else if (source && (source[Symbol.asyncIterator] || source[Symbol.iterator])) {
+      iterable = source;
+    } else {
+      throw new Error("Unsupported stream source: expected a ReadableStream, a Node stream or an iterable");
+    }
+
+    // Stop a pending read as soon as the signal is aborted
+    const onAbort = () => {
+      if (reader) {
+        reader.cancel(signal.reason).catch(() => {});
+      } else if (typeof source.destroy === "function") {
+        source.destroy();
+      }
+    };
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+    const decoder = new TextDecoder(options.encoding || "utf-8");
+    let finished = false;
+    try {
+      for await (const chunk of iterable) {
+        this.checkAborted(signal);
+        if (typeof chunk === "string") {
+          yield { text: chunk, size: chunk.length };
+        } else {
+          yield { text: decoder.decode(chunk, { stream: true }), size: chunk.byteLength };
+        }
+      }
+      this.checkAborted(signal);
+      finished = true;
+    } finally {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      if (reader && !finished) reader.cancel().catch(() => {});
     }
 
-    return { type, coordinates: result };
+    const rest = decoder.decode(); // Any incomplete multi-byte character at the end
+    if (rest) yield { text: rest, size: 0 };
   };
 
   /***************************************
-   * Parse Point Geometry
-   * @param {string} str - The WKT coordinates string.
-   * @returns {number[]} - Array of numbers representing the point.
+   * Throw if an AbortSignal Has Been Aborted
+   * @param {AbortSignal} [signal] - The signal, if any.
+   * @throws {Error} - The signal's reason, or an "AbortError" if it has none.
    ****************************************/
-  GeoWKTer.prototype.parsePoint = function (str) {
-    return str.trim().split(" ").map(Number);
+  GeoWKTer.prototype.checkAborted = function (signal) {
+    if (!signal || !signal.aborted) return;
+    if (signal.reason !== undefined) throw signal.reason;
+    const error = new Error("The operation was aborted");
+    error.name = "AbortError";
+    throw error;
   };
 
   /***************************************
-   * Parse LineString Geometry
-   * @param {string} str - The WKT coordinates string.
-   * @returns {number[][]} - Array of arrays representing the linestring.
+   * Read Delimited Text with a WKT Column
+   * This function reads CSV or TSV text, such as a spreadsheet export, in which
+   * one column holds WKT (or EWKT) and the others hold attributes. The first row
+   * must name the columns. Every other column is copied into the Feature
+   * properties, and rows whose geometry cannot be read are reported by row number
+   * instead of stopping the import.
+   *
+   * @param {string} text - The delimited text, including its header row.
+   * @param {Object} [options] - Import options, plus any `read` and `toGeoJSON` options:
+   *                             - delimiter: the field separator; detected from the header
+   *                               row (comma, tab, semicolon or pipe) when left out.
+   *                             - geometryColumn: the name or zero-based index of the WKT
+   *                               column; when left out, a column named WKT, geom, geometry,
+   *                               the_geom or shape is used, or else the first column whose
+   *                               first value looks like WKT.
+   *                             - inferTypes: when true, numbers, booleans and empty values
+   *                               become numbers, booleans and `null` (default: false, all
+   *                               values stay strings).
+   *                             - label: the `Name` given to every Feature (default: "").
+   * @returns {Object} - An object with:
+   *                      - geoJSON: a FeatureCollection with one Feature per good row.
+   *                      - errors: one entry per bad row, with its `row` number (the header
+   *                        is row 1), the `line` it starts on, and a `message`. Unless
+   *                        `mixedSrid` is given, a row whose SRID differs from the first
+   *                        good row's is reported here too and left out.
+   * @throws {Error} - Throws if the text has no header row or no geometry column is found.
    ****************************************/
-  GeoWKTer.prototype.parseLineString = function (str) {
-    return str.split(",").map((pair) => {
-      return pair.trim().split(" ").map(Number);
+  GeoWKTer.prototype.readDelimited = function (text, options = {}) {
+    const delimiter = options.delimiter || this.detectDelimiter(text);
+    const [header, ...rows] = this.parseDelimitedRows(text, delimiter);
+    if (!header) {
+      throw new Error("Delimited text has no header row");
+    }
+
+    const columns = header.fields.map((name) => name.trim());
+    const geometryIndex = this.findGeometryColumn(columns, rows, options.geometryColumn);
+    const records = [];
+    const recordRows = []; // The row of each record, for reporting
+    const errors = [];
+
+    rows.forEach((row, index) => {
+      const rowNumber = index + 2; // Row 1 is the header
+      const wkt = row.fields[geometryIndex];
+      if (row.unterminated) {
+        errors.push({ row: rowNumber, line: row.line, message: "Unterminated quoted field" });
+        return;
+      }
+      if (wkt === undefined || wkt.trim() === "") {
+        errors.push({ row: rowNumber, line: row.line, message: `Missing value in column "${columns[geometryIndex]}"` });
+        return;
+      }
+
+      try {
+        const record = this.prepareRecord(this.wktToGeoJSON(wkt, options), options.label, options);
+        record.properties = columns.reduce((properties, name, column) => {
+          if (column !== geometryIndex) {
+            const value = row.fields[column] === undefined ? "" : row.fields[column];
+            properties[name] = options.inferTypes ? this.inferValue(value) : value;
+          }
+          return properties;
+        }, Object.assign({}, record.properties));
+        records.push(record);
+        recordRows.push(row);
+      } catch (error) {
+        errors.push({ row: rowNumber, line: row.line, message: error.message });
+      }
     });
+
+    // Unless mixedSrid says otherwise, rows whose SRID differs from the first row's are
+    // reported instead of failing the whole import, so one CRS can still be written
+    let kept = records;
+    if (options.mixedSrid === undefined && records.length) {
+      const sridOf = (record) => (record.srid !== undefined ? record.srid : 4326);
+      const firstSrid = sridOf(records[0]);
+      kept = records.filter((record, index) => {
+        if (sridOf(record) === firstSrid) return true;
+        const row = recordRows[index];
+        errors.push({
+          row: rows.indexOf(row) + 2,
+          line: row.line,
+          message: `SRID ${sridOf(record)} does not match SRID ${firstSrid} of the first row`,
+        });
+        return false;
+      });
+      errors.sort((a, b) => a.row - b.row);
+    }
+
+    // The records are already reprojected, so the transform is not applied twice
+    return { geoJSON: this.toGeoJSON(kept, Object.assign({}, options, { transform: undefined })), errors };
   };
 
   /***************************************
-   * Parse Polygon Geometry
-   * @param {string} str - The WKT coordinates string.
-   * @returns {number[][][]} - Array of arrays representing the polygon.
+   * Detect the Delimiter of Delimited Text
+   * @param {string} text - The delimited text.
+   * @returns {string} - Whichever of tab, comma, semicolon and pipe appears most often
+   *                     outside quotes in the header row; comma when none does.
    ****************************************/
-  GeoWKTer.prototype.parsePolygon = function (str) {
-    return str.match(/\([^()]+\)/g).map((ring) => {
-      return ring
-        .replace(/[()]/g, "")
-        .split(",")
-        .map((pair) => {
-          return pair.trim().split(" ").map(Number);
-        });
-    });
+  GeoWKTer.prototype.detectDelimiter = function (text) {
+    const header = text.split(/\r\n|\r|\n/, 1)[0].replace(/"[^"]*"/g, "");
+    return ["\t", ",", ";", "|"].reduce((best, candidate) =>
+      header.split(candidate).length > header.split(best).length ? candidate : best
+    );
   };
 
   /***************************************
-   * Parse MultiPoint Geometry
-   * @param {string} str - The WKT coordinates string.
-   * @returns {number[][]} - Array of points representing the multipoint.
+   * Split Delimited Text into Rows of Fields
+   * Follows RFC 4180: fields may be wrapped in double quotes, inside which
+   * delimiters, line breaks and doubled quotes ("") are taken literally.
+   * Blank lines are skipped.
+   *
+   * @param {string} text - The delimited text.
+   * @param {string} delimiter - The field separator.
+   * @returns {Object[]} - One `{fields, line}` object per row, where `line` is the
+   *                       1-based line the row starts on. A row whose quotes are never
+   *                       closed is marked `unterminated`.
    ****************************************/
-  GeoWKTer.prototype.parseMultiPoint = function (str) {
-    // If the WKT includes nested parentheses
-    const matchParenPoints = str.match(/\(\s*([^()]+)\s*\)/g);
-    if (matchParenPoints) {
-      return matchParenPoints.map((pointStr) => {
-        return this.parsePoint(pointStr.replace(/[()]/g, "").trim());
-      });
+  GeoWKTer.prototype.parseDelimitedRows = function (text, delimiter) {
+    const rows = [];
+    let fields = [];
+    let field = "";
+    let quoted = false; // True inside a quoted field
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+      fields.push(field);
+      if (fields.length > 1 || fields[0].trim() !== "") {
+        rows.push({ fields, line: rowLine });
+      }
+      fields = [];
+      field = "";
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      const lineBreak = char === "\n" || (char === "\r" && text[i + 1] !== "\n");
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"'; // Escaped quote
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field.trim() === "") {
+        quoted = true;
+        field = "";
+      } else if (char === delimiter) {
+        fields.push(field);
+        field = "";
+      } else if (lineBreak) {
+        endRow();
+        rowLine = line + 1;
+      } else if (char !== "\r") {
+        field += char;
+      }
+
+      if (lineBreak) line++;
+    }
+
+    if (quoted) {
+      fields.push(field);
+      rows.push({ fields, line: rowLine, unterminated: true });
     } else {
-      return str.split(",").map(this.parsePoint.bind(this));
+      endRow();
     }
+    return rows;
   };
 
   /***************************************
-   * Parse MultiLineString Geometry
-   * @param {string} str - The WKT coordinates string.
-   * @returns {number[][][]} - Array of linestrings representing the multilinestring.
+   * Find the Geometry Column of Delimited Text
+   * @param {string[]} columns - The column names from the header row.
+   * @param {Object[]} rows - The data rows from `parseDelimitedRows`.
+   * @param {string|number} [requested] - The column name or index asked for, if any.
+   * @returns {number} - The zero-based index of the geometry column.
+   * @throws {Error} - Throws if the requested column does not exist or none can be found.
    ****************************************/
-  GeoWKTer.prototype.parseMultiLineString = function (str) {
-    return str.match(/\(([^()]+)\)/g).map((linestring) => {
-      return this.parseLineString(linestring.replace(/[()]/g, "").trim());
+  GeoWKTer.prototype.findGeometryColumn = function (columns, rows, requested) {
+    if (requested !== undefined) {
+      const index =
+        typeof requested === "number"
+          ? requested
+          : columns.findIndex((name) => name.toLowerCase() === String(requested).toLowerCase());
+      if (index < 0 || index >= columns.length) {
+        throw new Error(`Geometry column not found: ${requested}`);
+      }
+      return index;
+    }
+
+    // Prefer a conventionally named column
+    const named = columns.findIndex((name) => /^(wkt|wkt_geom|geom|geometry|the_geom|shape)$/i.test(name));
+    if (named >= 0) return named;
+
+    // Otherwise take the first column whose first value looks like WKT
+    const wktPattern = new RegExp(`^\\s*(SRID=\\d+;\\s*)?(${this.geometryTypeNames().join("|")})\\b`, "i");
+    const sniffed = columns.findIndex((name, column) => {
+      const row = rows.find((candidate) => (candidate.fields[column] || "").trim() !== "");
+      return row !== undefined && wktPattern.test(row.fields[column]);
     });
+    if (sniffed < 0) {
+      throw new Error("No WKT column found; set the geometryColumn option");
+    }
+    return sniffed;
   };
 
   /***************************************
-   * Parse MultiPolygon Geometry
-   * @param {string} str - The WKT coordinates string.
-   * @returns {number[][][][]} - Array of polygons representing the multipolygon.
+   * Infer the Type of a Delimited Text Value
+   * @param {string} value - The field's text.
+   * @returns {string|number|boolean|null} - `null` for an empty field, a boolean for
+   *                                         "true" or "false", a number for numeric text
+   *                                         without leading zeros (so codes such as ZIP
+   *                                         "06103" stay strings), and otherwise the text.
    ****************************************/
-  GeoWKTer.prototype.parseMultiPolygon = function (str) {
-    // Match groups of polygons within MULTIPOLYGON
-    const polygonMatches = str.match(/\(\([^)]+\)\)/g);
-
-    if (!polygonMatches) {
-      throw new Error("Invalid MULTIPOLYGON WKT format");
+  GeoWKTer.prototype.inferValue = function (value) {
+    const trimmed = value.trim();
+    if (trimmed === "") return null;
+    if (/^(true|false)$/i.test(trimmed)) return trimmed.toLowerCase() === "true";
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed) && !/^[-+]?0\d/.test(trimmed)) {
+      return Number(trimmed);
     }
-
-    return polygonMatches.map((polygonStr) => {
-      // Each match represents a polygon, stripping the outer parentheses
-      const cleanedPolygonStr = polygonStr.slice(1, -1); // Removes the outermost two parenthesis levels
-      return this.parsePolygon(cleanedPolygonStr);
-    });
+    return value;
   };
 
   /***************************************
-   * Extract Geometries from WKT GeometryCollection
-   * This function scans through a WKT formatted string that represents a
-   * GEOMETRYCOLLECTION and identifies individual geometry components within
-   * it. The function splits the string into manageable parts, each corresponding
-   * to a distinct geometry (e.g., POINT, LINESTRING).
-   *
-   * @param {string} str - The WKT string containing the collection of geometries.
-   * @returns {string[]} - An array of WKT strings, each representing a
-   *                       single geometry component from the GEOMETRYCOLLECTION.
+   * Finish Reading a Parsed Geometry
+   * Builds the internal record, then applies the `axisOrder`, `strict`,
+   * `transform` and `properties` options shared by all of the readers, in that order.
    *
-   * Procedure:
-   * 1. Initialize an array `geometries` to collect extracted WKT segments.
-   * 2. Define `geometryTypes`, an array containing the WKT keywords for supported
-   *    geometry types, which are POINT, LINESTRING, POLYGON, MULTIPOINT,
-   *    MULTILINESTRING, and MULTIPOLYGON.
-   * 3. Utilize two variables, `depth` and `start`, to track the nesting level
-   *    of parentheses and the start position of each geometry component.
-   *
-   * Main Loop:
-   * - Iterate over each character in the string.
-   * - Adjust `depth` to reflect the current level of parenthesis nesting,
-   *   incrementing with '(' and decrementing with ')'.
-   * - Upon reaching `depth` 0, examine the current location in the string
-   *   for potential geometry type keywords.
-   * - When a geometry type is detected at `depth` 0, mark the end of the
-   *   preceding geometry segment, if any, and append it to `geometries`.
-   * - Set `start` to the current index, marking the beginning of the next geometry.
-   *
-   * Finalization:
-   * - After exiting the loop, capture any remaining geometry from `start` to
-   *   the end of the string, appending it to the `geometries` list.
-   *
-   * This approach ensures each nested geometry in a GEOMETRYCOLLECTION is
-   * accurately isolated as its own distinct WKT segment, ready for parsing.
-   ****************************************/
-  GeoWKTer.prototype.extractGeometries = function (str) {
-    const geometries = []; // Array to store each extracted geometry WKT
-    const geometryTypes = ["POINT", "LINESTRING", "POLYGON", "MULTIPOINT", "MULTILINESTRING", "MULTIPOLYGON"]; // Known geometry types
-    let depth = 0; // Tracks current depth level of parentheses
-    let start = 0; // Marks the start index of the current geometry segment
-
-    // Iterate over each character in the WKT string
-    for (let i = 0; i < str.length; i++) {
-      if (str[i] === "(") depth++; // Increment depth for each opening parenthesis
-      if (str[i] === ")") depth--; // Decrement depth for each closing parenthesis
-
-      // Check if we're at a zero depth, potentially between geometries
-      if (depth === 0) {
-        // Explore possible starts of a new geometry type
-        geometryTypes.forEach((type) => {
-          if (str.startsWith(type, i)) {
-            // Check if this point indicates a new geometry type
-            if (i > start) {
-              // Ensure there's a segment before this new start
-              const geometry = str.slice(start, i).trim(); // Extract the previous geometry segment
-              if (geometry) {
-                // Ensure it's non-empty
-                geometries.push(geometry); // Add to the list of extracted geometries
-              }
-            }
-            start = i; // Update start to the current position for the new geometry
-          }
-        });
-      }
+   * @param {Object} geoJSON - The GeoJSON-like object from `wktToGeoJSON` or `readWKBGeometry`.
+   * @param {string} label - The label to store on the record.
+   * @param {Object} [options] - The reader's options.
+   * @returns {Object} - The internal record.
+   * @throws {GeometryValidationError} - In strict mode, throws if the geometry is invalid.
+   ****************************************/
+  GeoWKTer.prototype.prepareRecord = function (geoJSON, label, options = {}) {
+    let record = this.toRecord(geoJSON, label);
+    if (options.axisOrder !== undefined) {
+      record = this.applyAxisOrder(record, options);
     }
 
-    // Process the final segment if there's any left
-    if (start < str.length) {
-      const geometry = str.slice(start).trim(); // Extract remaining geometry segment
-      if (geometry) {
-        // Ensure non-empty
-        geometries.push(geometry); // Add last geometry
+    if (options.strict) {
+      const errors = this.validate([record]).issues.filter((issue) => issue.severity === "error");
+      if (errors.length) {
+        throw new GeometryValidationError(errors);
       }
     }
 
-    return geometries; // Return all extracted geometry components
+    if (options.transform !== undefined) {
+      record = this.transformRecord(record, options.transform);
+    }
+
+    // Attach the caller's attributes, computed from the finished record when given as a function
+    if (options.properties !== undefined) {
+      const properties = typeof options.properties === "function" ? options.properties(record) : options.properties;
+      record.properties = Object.assign({}, properties);
+    }
+    return record;
   };
 
   /***************************************
-   * Parse GeometryCollection
-   * This function processes a Well-Known Text (WKT) input string that represents
-   * a GEOMETRYCOLLECTION, and converts it into an array of geometry objects
-   * (not features at this stage) with identifying characteristics to be
-   * transformed into GeoJSON later.
-   *
-   * @param {string} str - The WKT string for the geometry collection, usually in the form
-   *                       'GEOMETRYCOLLECTION(POINT(...), LINESTRING(...), ...)'.
-   * @param {string} [label] - An optional label for each geometry parsed, which may be used
-   *                           later as a name property in GeoJSON.
-   * @returns {Object[]} - An array of geometry objects, each containing:
-   *                        - type: the type of geometry (e.g., POINT, LINESTRING).
-   *                        - coordinates: numerical array(s) representing the geometry's
-   *                          spatial data.
-   *
-   * The following steps are performed:
-   * 1. Setting up parsers: Retrieve the appropriate parsing functions for each
-   *    known geometry type, such as POINT or POLYGON, from a predefined map of
-   *    methods.
-   *
-   * 2. Extract geometries: Invoke `extractGeometries` to decompose the WKT string
-   *    into its respective geometry components based on delimiters and nesting,
-   *    isolating each geometry's WKT sub-string.
-   *
-   * 3. Parse each geometry: Iterate through the extracted geometries:
-   *    - Use regular expressions to identify the type and retrieve the coordinate details.
-   *    - Apply the corresponding parser to transform WKT coordinates into numerical arrays.
-   *    - Store the result as an object with `type` and `coordinates` attributes.
-   *
-   * 4. Error Handling: If a geometry type is unsupported or if parsing fails, an
-   *    exception is raised to indicate incorrect or unsupported formatting.
+   * Apply an Axis Order to a Record
+   * Some sources write geographic coordinates latitude first. This function
+   * swaps the first two values of every position when asked to, or, in "auto"
+   * mode, when the values look like latitude/longitude:
+   * - With `expectedExtent`, the order that puts more positions inside the extent wins.
+   * - Otherwise, the positions are swapped when some second value is outside ±90
+   *   (so cannot be a latitude) while every first value is within ±90.
+   * Anything else is left as it is.
    *
-   * This function does not wrap the geometries in GeoJSON features but prepares
-   * the data in a way that can be easily transformed into GeoJSON format by
-   * following processes.
+   * @param {Object} record - The internal record.
+   * @param {Object} options - The reader's options:
+   *                           - axisOrder: "xy" (as written), "yx" (always swap) or "auto".
+   *                           - expectedExtent: `[minX, minY, maxX, maxY]` the data should
+   *                             fall within, used by "auto".
+   * @returns {Object} - The record, with an `axisOrder` property saying which order the
+   *                     input was read in: "xy", or "yx" when the positions were swapped.
+   * @throws {Error} - Throws if the axis order is not supported.
    ****************************************/
-  GeoWKTer.prototype.parseGeometryCollection = function (str, label = "") {
-    const components = []; // Array to hold parsed geometry objects
-
-    // Map for geometry type to the appropriate parsing function
-    const parsers = {
-      POINT: this.parsePoint,
-      LINESTRING: this.parseLineString,
-      POLYGON: this.parsePolygon,
-      MULTIPOINT: this.parseMultiPoint,
-      MULTILINESTRING: this.parseMultiLineString,
-      MULTIPOLYGON: this.parseMultiPolygon,
-    };
-
-    // Extract each geometry from the GeometryCollection WKT string
-    const geometries = this.extractGeometries(str);
-
-    // Process each individual WKT geometry
-    geometries.forEach((geometryWKT) => {
-      // Match the geometry type and coordinate section
-      const match = geometryWKT.match(/([A-Z]+)\s*\((.*)\)/i);
-      if (match) {
-        const type = match[1].toUpperCase(); // Capture geometry type
-        const parser = parsers[type]; // Get parser for this geometry type
-        if (parser) {
-          // Parse coordinates using the relevant parser function
-          const coordinates = parser.call(this, match[2].trim());
-          components.push({
-            type: type, // Store geometry type
-            coordinates: coordinates, // Store parsed coordinates
-          });
-        } else {
-          // Raise error if unsupported geometry type is encountered
-          throw new Error(`Unsupported geometry type: ${type}`);
-        }
+  GeoWKTer.prototype.applyAxisOrder = function (record, options) {
+    if (!["xy", "yx", "auto"].includes(options.axisOrder)) {
+      throw new Error(`Unsupported axisOrder: ${options.axisOrder}`);
+    }
+
+    let swap = options.axisOrder === "yx";
+    if (options.axisOrder === "auto") {
+      const positions = [];
+      this.mapGeometryPositions(record, (position) => positions.push(position));
+
+      if (options.expectedExtent) {
+        const [minX, minY, maxX, maxY] = options.expectedExtent;
+        const inside = (x, y) => x >= minX && x <= maxX && y >= minY && y <= maxY;
+        const asWritten = positions.filter(([x, y]) => inside(x, y)).length;
+        const swapped = positions.filter(([x, y]) => inside(y, x)).length;
+        swap = swapped > asWritten;
       } else {
-        // Raise error if WKT parsing fails
-        throw new Error("Failed to parse geometry WKT");
+        swap =
+          positions.some((position) => Math.abs(position[1]) > 90) &&
+          positions.every((position) => Math.abs(position[0]) <= 90);
       }
-    });
+    }
 
-    return components; // Return the array of parsed geometry objects
+    const result = swap
+      ? this.mapGeometryPositions(record, (position) => [position[1], position[0]].concat(position.slice(2)))
+      : record;
+    return Object.assign(result, { axisOrder: swap ? "yx" : "xy" });
   };
 
-  return GeoWKTer;
-})();
+  /***************************************
+   * Build an Internal Record from a Parsed Geometry
+   * @param {Object} geoJSON - The GeoJSON-like object from `wktToGeoJSON` or `readWKBGeometry`.
+   * @param {string} label - The label to store on the record.
+   * @returns {Object} - The internal `{type, components, dimension, label}` record, with
+   *                     `measures`, `srid` and `warnings` when the parsed geometry has them.
+   ****************************************/
+  GeoWKTer.prototype.toRecord = function (geoJSON, label) {
+    const record = {
+      type: geoJSON.type, // Extract the geometry type
+      components: geoJSON.coordinates || geoJSON.geometries, // Choose coordinates or geometries attribute based on type
+      dimension: geoJSON.dimension, // Keep the coordinate dimension for writing back out
+    };
+    if (geoJSON.measures !== undefined) {
+      record.measures = geoJSON.measures; // M values kept on request
+    }
+    if (geoJSON.curve !== undefined) {
+      record.curve = geoJSON.curve; // Curve definition, for writing back out as WKT
+    }
+    if (geoJSON.srid !== undefined) {
+      record.srid = geoJSON.srid; // Spatial reference from an EWKT or EWKB header
+    }
+    if (geoJSON.warnings !== undefined) {
+      record.warnings = geoJSON.warnings; // Changes made by the repair option
+    }
+    record.label = label; // Add the provided label for future reference
+    return record;
+  };
+
+  /***************************************
+   * Convert Internal Data Array to GeoJSON
+   * This function takes an array of internal data objects—each representing
+   * parsed WKT geometries—and converts them into a valid GeoJSON object.
+   * Specifically, it structures these geometries into GeoJSON features within
+   * a FeatureCollection, appropriately handling both individual geometries
+   * and collections of geometries.
+   *
+   * @param {Object[]} dataArray - An array of objects where each contains:
+   *                                - type: the geometric type (e.g., POINT, POLYGON).
+   *                                - components: either the coordinates of a
+   *                                  single geometry or an array of geometries.
+   *                                - label: optional description used as a property.
+   *                                - measures: optional M values, written to a
+   *                                  `measures` property.
+   *                                - srid: optional SRID, used for the `crs` member.
+   *                                - properties: optional attributes (e.g. from
+   *                                  `readDelimited`), copied into the Feature properties.
+   * @param {Object} [options] - Output options:
+   *                             - rfc7946: when true, the output follows RFC 7946: the legacy
+   *                               `crs` member is left out, geometries crossing the antimeridian
+   *                               are split, polygon rings are rewound (exterior counter-clockwise,
+   *                               holes clockwise), and each Feature and the FeatureCollection get
+   *                               a `bbox` (default: false). Coordinates must already be WGS 84;
+   *                               combine with `transform` if they are not. See `toRFC7946Geometry`.
+   *                             - mixedSrid: what to do when the records carry different
+   *                               SRIDs: "error" (default) throws, "warn" logs a warning
+   *                               and leaves out the `crs` member.
+   *                             - emptyGeometry: how EMPTY geometries are written: "null"
+   *                               (default) for a `null` Feature geometry, or "empty" for
+   *                               a geometry with an empty `coordinates` (or `geometries`) array.
+   *                             - collectionMode: how GEOMETRYCOLLECTION records are written:
+   *                               "explode" (default) writes one Feature per member, with
+   *                               `memberIndex` and `parentId` properties; "preserve" writes
+   *                               one Feature with a GeoJSON GeometryCollection; "merge" writes
+   *                               one Feature with the matching Multi* geometry when all members
+   *                               are points, lines or polygons, and otherwise acts as "preserve".
+   *                             - surfaceMode: how TRIANGLE, TIN and POLYHEDRALSURFACE geometries
+   *                               are written: "multipolygon" (default) writes a Polygon for a
+   *                               TRIANGLE and a MultiPolygon for the others; "explode" writes one
+   *                               Polygon Feature per face, with a `faceIndex` property.
+   *                             - transform: reproject every record first, given as a target
+   *                               SRID or as `{from, to}` SRIDs; the `crs` member then names
+   *                               the target. See `transformRecord`.
+   *                             - nameKey: the property the record's label is written to
+   *                               (default: "Name"); null leaves the label out.
+   *                             - mapProperties: a function called with each Feature's properties
+   *                               and `{record, index, memberIndex, faceIndex}` (the record's index,
+   *                               the member's for an exploded collection and the face's for an
+   *                               exploded surface), returning the properties to write.
+   *                             - id: how to set each Feature's `id`: "auto" numbers the Features
+   *                               from 1, "hash" uses a hash of the geometry (see `geometryHash`),
+   *                               and `{property: key}` uses that (mapped) property, when present.
+   *                             - precision: round every coordinate value to this many decimal
+   *                               places and remove the repeated vertices this creates.
+   *                             - simplify: simplify lines and polygon rings with this tolerance,
+   *                               or `{tolerance, algorithm}`. See `generalizeRecord`.
+   *                             - linearize: `{maxAngle, maxError}` limits to linearize records
+   *                               read from curve types again with; see `linearizeSettings`.
+   * @returns {Object} - GeoJSON object formatted as a FeatureCollection, comprising
+   *                     individual features with their associated geometries and properties.
+   * @throws {Error} - Throws if the records mix SRIDs and `mixedSrid` is "error", if
+   *                   `transform` names an SRID with no registered projection, or if
+   *                   `precision`, `simplify` or `linearize` is invalid.
+   *
+   * Steps Involved:
+   * 1. Initialize `features`: Accumulate each processed geometry into this array
+   *    as a GeoJSON `Feature`, maintaining a list to be included in the final
+   *    `FeatureCollection`.
+   *
+   * 2. Iterate Over Data Array: For each geometry object from the parsed internal
+   *    data:
+   *
+   *    - **Geometry Collections**:
+   *      - Identify the `GEOMETRYCOLLECTION` type and ensure `components` is an array.
+   *      - In "explode" mode, iterate through each geometry in the collection, converting
+   *        each into a GeoJSON `Feature` by specifying its type and coordinates, and pushing
+   *        it to the `features` list. Nested collections are flattened, and an
+   *        empty collection still produces one (empty) Feature. Each Feature records
+   *        its position in the flattened collection as `memberIndex` and the index of
+   *        its record in `dataArray` as `parentId`, so the collection can be reassembled.
+   *      - In "preserve" mode, push a single Feature with a GeometryCollection geometry.
+   *      - In "merge" mode, combine the members with `mergeCollection` into one Feature.
+   *
+   *    - **Other Geometries**:
+   *      - Construct a GeoJSON `Feature` using the individual geometry's `type` and
+   *        `coordinates` directly.
+   *      - Append each to `features`, ensuring they include property details.
+   *
+   * 3. Construct FeatureCollection: Wrap the accumulated features array into a
+   *    GeoJSON formatted object by designating it as a `FeatureCollection`, with a
+   *    `crs` member naming the records' SRID (unless `rfc7946` is set, in which case a `bbox`
+   *    member enclosing every Feature is written instead).
+   *
+   * WARNING: Plain WKT geometries do not include spatial reference system (SRS) information.
+   * Records without an SRID (anything not read from EWKT) are assumed to be in EPSG:4326 (WGS 84);
+   * unless `transform` is given, this function purely reformats the coordinates and does not
+   * verify that assumption. Data in another system, such as State Plane feet, should be read
+   * with its SRID (EWKT or `transform.from`) and reprojected with `transform`.
+   * If such geometries are in another coordinate system, the `crs` member will be wrong, which
+   * may lead to incorrect spatial data representation or interpretation.
+   * Users should ensure that the input data is in the intended coordinate system for their applications.
+   ****************************************/
+  GeoWKTer.prototype.toGeoJSON = function (dataArray, options = {}) {
+    // Reproject the records first, so the crs member can name the target system
+    // and linearization, rounding and simplification work in its units
+    const records = dataArray.map((data) => this.prepareOutput(data, options));
+
+    // Gather every record's Features, one at a time as `writeGeoJSONStream` does, since
+    // spreading an exploded collection's Features into push overflows the call stack
+    const buildFeatures = this.createFeatureBuilder(options);
+    const features = [];
+    records.forEach((data, parentId) => {
+      for (const feature of buildFeatures(data, parentId)) features.push(feature);
+    });
+
+    // Return the complete GeoJSON FeatureCollection with CRS info
+    const collection = { type: "FeatureCollection" };
+
+    // In RFC 7946 mode, the collection's bbox encloses every Feature
+    if (options.rfc7946) {
+      const positions = [];
+      features.forEach((feature) => this.geometryPositions(feature.geometry, positions));
+      const bbox = this.computeBbox(positions);
+      if (bbox) collection.bbox = bbox;
+    }
+
+    // RFC 7946 removed the `crs` member; all coordinates are WGS 84 by definition
+    const srid = options.rfc7946 ? undefined : this.collectionSrid(records, options);
+    if (srid !== undefined) {
+      collection.crs = this.crsMember(srid);
+    }
+
+    collection.features = features;
+    return collection;
+  };
+
+  /***************************************
+   * Write a FeatureCollection as a Stream
+   * This function is the streaming form of `toGeoJSON`. It takes records one at
+   * a time, such as those yielded by `readStream`, and yields the JSON text of a
+   * FeatureCollection in pieces, so neither the records nor the output are held
+   * in memory. Because the records are not known in advance, the `crs` (or, in
+   * RFC 7946 mode, the `bbox`) member is written after the features.
+   *
+   * @param {AsyncIterable|Iterable} records - Internal records.
+   * @param {Object} [options] - The `toGeoJSON` options, plus:
+   *                             - signal: an AbortSignal; aborting it stops writing and rejects
+   *                               with the signal's reason.
+   * @returns {AsyncGenerator<string>} - Yields pieces of JSON text which, joined, are the
+   *                                     same FeatureCollection `toGeoJSON` would return.
+   * @throws {Error} - Throws, once it reaches the second SRID, if the records mix SRIDs
+   *                   and `mixedSrid` is "error".
+   *
+   * Example (Node):
+   *   Readable.from(geoWKTer.writeGeoJSONStream(geoWKTer.readStream(input))).pipe(output);
+   ****************************************/
+  GeoWKTer.prototype.writeGeoJSONStream = async function* (records, options = {}) {
+    const buildFeatures = this.createFeatureBuilder(options);
+    const corners = []; // Corners of every Feature's bbox, for the collection's bbox
+    let srid;
+    let mixed = false;
+    let parentId = 0;
+    let separator = "";
+
+    yield '{"type":"FeatureCollection","features":[';
+    for await (let record of records) {
+      this.checkAborted(options.signal);
+      record = this.prepareOutput(record, options);
+
+      // Check each SRID against the first, as `collectionSrid` does for a whole array
+      const recordSrid = record.srid !== undefined ? record.srid : 4326;
+      if (srid === undefined) {
+        srid = recordSrid;
+      } else if (recordSrid !== srid && !mixed && !options.rfc7946) {
+        mixed = true;
+        this.collectionSrid([{ srid }, { srid: recordSrid }], options); // Throws or warns
+      }
+
+      for (const feature of buildFeatures(record, parentId++)) {
+        if (feature.bbox) {
+          const half = feature.bbox.length / 2;
+          corners.push(feature.bbox.slice(0, half), feature.bbox.slice(half));
+        }
+        yield separator + JSON.stringify(feature);
+        separator = ",";
+      }
+    }
+
+    let tail = "]";
+    if (options.rfc7946) {
+      const bbox = this.computeBbox(corners);
+      if (bbox) tail += `,"bbox":${JSON.stringify(bbox)}`;
+    } else if (!mixed) {
+      tail += `,"crs":${JSON.stringify(this.crsMember(srid !== undefined ? srid : 4326))}`;
+    }
+    yield `${tail}}`;
+  };
+
+  /***************************************
+   * Create a Record-to-Features Converter
+   * Holds the per-record half of `toGeoJSON`, so records can also be converted
+   * one at a time, as `writeGeoJSONStream` does.
+   *
+   * @param {Object} [options] - The `toGeoJSON` options; `emptyGeometry`, `collectionMode`,
+   *                             `surfaceMode`, `rfc7946`, `nameKey`, `mapProperties` and `id`
+   *                             are consulted.
+   * @returns {Function} - A function taking an internal record and its index, and returning
+   *                       the record's GeoJSON Features (one, or one per member when
+   *                       collections are exploded).
+   * @throws {Error} - Throws if `collectionMode`, `surfaceMode` or `id` is not supported.
+   ****************************************/
+  GeoWKTer.prototype.createFeatureBuilder = function (options = {}) {
+    const collectionMode = options.collectionMode || "explode";
+    if (!["explode", "preserve", "merge"].includes(collectionMode)) {
+      throw new Error(`Unsupported collectionMode: ${collectionMode}`);
+    }
+    const idProperty = options.id && typeof options.id === "object" ? options.id.property : undefined;
+    if (options.id !== undefined && options.id !== "auto" && options.id !== "hash" && idProperty === undefined) {
+      throw new Error(`Unsupported id option: ${JSON.stringify(options.id)}`);
+    }
+    const surfaceMode = options.surfaceMode || "multipolygon";
+    if (!["multipolygon", "explode"].includes(surfaceMode)) {
+      throw new Error(`Unsupported surfaceMode: ${surfaceMode}`);
+    }
+    const nameKey = options.nameKey !== undefined ? options.nameKey : "Name";
+    let nextId = 1; // Next Feature id in "auto" mode
+
+    // The GeoJSON type (or conversion function) registered for a WKT type
+    const geoJSONMapping = (type) => {
+      const definition = this.geometryType(type);
+      return definition ? definition.toGeoJSON : undefined;
+    };
+
+    // Convert an internal geometry into a GeoJSON geometry, or null when it is EMPTY
+    const convertGeometry = (geometry) => {
+      if (options.emptyGeometry !== "empty" && this.isEmptyGeometry(geometry)) {
+        return null;
+      }
+
+      const geoJSONType = geoJSONMapping(geometry.type);
+      const data = geometry.components || geometry.coordinates || geometry.geometries;
+      if (typeof geoJSONType === "function") {
+        return geoJSONType.call(this, geometry, data);
+      }
+      if (!geoJSONType) {
+        throw new Error(`No GeoJSON type for WKT type: ${geometry.type.toUpperCase()}`);
+      }
+      if (geoJSONType === "GeometryCollection") {
+        return {
+          type: geoJSONType,
+          geometries: data.map(convertGeometry).filter((member) => member !== null),
+        };
+      }
+
+      // GeoJSON has no empty parts, so EMPTY members of a Multi* geometry are left out
+      let coordinates = /^Multi/.test(geoJSONType) ? data.filter((part) => !this.isEmptyCoordinates(part)) : data;
+
+      // Nor empty rings, so EMPTY holes are left out of polygons
+      const withoutEmptyHoles = (rings) => rings.filter((ring, index) => index === 0 || ring.length);
+      if (geoJSONType === "Polygon") {
+        coordinates = withoutEmptyHoles(coordinates);
+      } else if (geoJSONType === "MultiPolygon") {
+        coordinates = coordinates.map(withoutEmptyHoles);
+      }
+      return { type: geoJSONType, coordinates };
+    };
+
+    // Gather M values, mirroring the member nesting for a collection; null where there are none
+    const collectMeasures = (geometry) => {
+      if (geometry.type.toUpperCase() !== "GEOMETRYCOLLECTION") {
+        return geometry.measures === undefined ? null : geometry.measures;
+      }
+      return (geometry.components || geometry.geometries).map(collectMeasures);
+    };
+    const hasMeasures = (measures) => (Array.isArray(measures) ? measures.some(hasMeasures) : measures !== null);
+
+    // Build a GeoJSON Feature for a geometry, carrying the record's label and attributes
+    const createFeature = (geometry, record, index, extraProperties = {}) => {
+      let properties = nameKey === null ? {} : { [nameKey]: record.label || "" };
+      Object.assign(properties, record.properties);
+      const measures = collectMeasures(geometry);
+      if (hasMeasures(measures)) properties.measures = measures;
+      Object.assign(properties, extraProperties);
+      if (options.mapProperties) {
+        properties = options.mapProperties(properties, {
+          record,
+          index,
+          memberIndex: extraProperties.memberIndex,
+          faceIndex: extraProperties.faceIndex,
+        });
+      }
+
+      const feature = { type: "Feature" };
+      let geoJSONGeometry = convertGeometry(geometry);
+      if (options.rfc7946 && geoJSONGeometry) {
+        geoJSONGeometry = this.toRFC7946Geometry(geoJSONGeometry);
+      }
+
+      // Identify the Feature as asked
+      if (options.id === "auto") {
+        feature.id = nextId++;
+      } else if (options.id === "hash") {
+        feature.id = this.geometryHash(geoJSONGeometry);
+      } else if (idProperty !== undefined && properties && properties[idProperty] !== undefined) {
+        feature.id = properties[idProperty];
+      }
+
+      if (options.rfc7946 && geoJSONGeometry) {
+        const bbox = this.computeBbox(this.geometryPositions(geoJSONGeometry));
+        if (bbox) feature.bbox = bbox;
+      }
+      feature.geometry = geoJSONGeometry;
+      feature.properties = properties;
+      return feature;
+    };
+
+    // Build a geometry's Features: one, or one per face of an exploded surface
+    const createFeatures = (geometry, record, index, extraProperties = {}) => {
+      const type = this.baseType(geometry.type);
+      if (surfaceMode !== "explode" || !["TRIANGLE", "TIN", "POLYHEDRALSURFACE"].includes(type)) {
+        return [createFeature(geometry, record, index, extraProperties)];
+      }
+
+      // A TRIANGLE is a surface of one face
+      const data = geometry.components || geometry.coordinates;
+      const faces = type === "TRIANGLE" ? [data] : data;
+      const measures = type === "TRIANGLE" ? [geometry.measures] : geometry.measures || [];
+      const features = [];
+      faces.forEach((face, faceIndex) => {
+        if (face.length === 0) return;
+        const polygon = { type: "POLYGON", coordinates: face, dimension: geometry.dimension };
+        if (measures[faceIndex] !== undefined) polygon.measures = measures[faceIndex];
+        features.push(createFeature(polygon, record, index, Object.assign({}, extraProperties, { faceIndex })));
+      });
+
+      // An EMPTY surface still gets one Feature, so the record is not lost
+      return features.length ? features : [createFeature(geometry, record, index, extraProperties)];
+    };
+
+    // Convert one record into its Features
+    return (data, parentId) => {
+      const accum = [];
+      const { type, components } = data; // Destructure for ease of use
+
+      // Map the type to its GeoJSON type
+      const geoJSONType = geoJSONMapping(type);
+
+      if (geoJSONType === "GeometryCollection" && Array.isArray(components) && collectionMode === "preserve") {
+        // Keep the collection together as a single GeometryCollection Feature
+        accum.push(createFeature(data, data, parentId));
+      } else if (geoJSONType === "GeometryCollection" && Array.isArray(components) && collectionMode === "merge") {
+        // Combine same-kind members into one Multi* Feature where possible
+        accum.push(createFeature(this.mergeCollection(data), data, parentId));
+      } else if (geoJSONType === "GeometryCollection" && Array.isArray(components)) {
+        // If it's a geometry collection, iterate over its components, flattening nested collections
+        let memberIndex = 0;
+        const explode = (geometries) => {
+          geometries.forEach((geometry) => {
+            if (geometry.type.toUpperCase() === "GEOMETRYCOLLECTION") {
+              explode(geometry.geometries);
+            } else {
+              const extraProperties = { memberIndex: memberIndex++, parentId };
+              for (const feature of createFeatures(geometry, data, parentId, extraProperties)) accum.push(feature);
+            }
+          });
+        };
+        const count = accum.length;
+        explode(components);
+
+        // An empty collection still gets one Feature, so the record is not lost
+        if (accum.length === count) {
+          accum.push(createFeature(data, data, parentId));
+        }
+      } else {
+        // Handle non-collection geometries directly as a single GeoJSON feature (or one per face);
+        // an exploded surface's Features are pushed one at a time, as spreading them overflows the call stack
+        for (const feature of createFeatures(data, data, parentId)) accum.push(feature);
+      }
+
+      return accum;
+    };
+  };
+
+  /***************************************
+   * Hash a GeoJSON Geometry
+   * Gives equal geometries equal ids, so a Feature keeps its id from one export
+   * to the next. Uses the 53-bit cyrb53 string hash of the geometry's JSON.
+   *
+   * @param {Object|null} geometry - A GeoJSON geometry.
+   * @returns {string} - The hash as 14 hexadecimal digits.
+   ****************************************/
+  GeoWKTer.prototype.geometryHash = function (geometry) {
+    const text = JSON.stringify(geometry);
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+    return hash.toString(16).padStart(14, "0");
+  };
+
+  /***************************************
+   * Build a Legacy GeoJSON `crs` Member
+   * @param {number} srid - The EPSG code.
+   * @returns {Object} - A named CRS member, e.g. for 'EPSG:2234'.
+   ****************************************/
+  GeoWKTer.prototype.crsMember = function (srid) {
+    return {
+      type: "name",
+      properties: {
+        name: `EPSG:${srid}`,
+      },
+    };
+  };
+
+  /***************************************
+   * Prepare a GeoJSON Geometry for RFC 7946
+   * Splits lines and polygons that cross the antimeridian into Multi* parts on
+   * either side of it (RFC 7946, section 3.1.9), then winds polygon exterior
+   * rings counter-clockwise and holes clockwise (section 3.1.6). Crossings are
+   * taken to follow the shorter way around, so a segment is split wherever its
+   * longitude changes by more than 180 degrees. Polygons that enclose a pole
+   * cannot be split this way and are only rewound. The input is not modified.
+   *
+   * @param {Object} geometry - A GeoJSON geometry with WGS 84 coordinates.
+   * @returns {Object} - The RFC 7946 geometry.
+   ****************************************/
+  GeoWKTer.prototype.toRFC7946Geometry = function (geometry) {
+    const rewind = (polygon) =>
+      polygon.map((ring, index) => {
+        const counterClockwise = this.ringArea(ring) > 0;
+        return counterClockwise === (index === 0) ? ring : ring.slice().reverse();
+      });
+
+    // Use the single type for one part and the Multi* type for several
+    const fromParts = (type, parts) =>
+      parts.length === 1 ? { type, coordinates: parts[0] } : { type: `Multi${type}`, coordinates: parts };
+
+    switch (geometry.type) {
+      case "LineString":
+        return fromParts("LineString", this.splitLineAtAntimeridian(geometry.coordinates));
+      case "MultiLineString": {
+        // Parts are gathered in one array, since concatenating line by line takes quadratic time
+        const parts = [];
+        geometry.coordinates.forEach((line) => {
+          this.splitLineAtAntimeridian(line).forEach((part) => parts.push(part));
+        });
+        return { type: "MultiLineString", coordinates: parts };
+      }
+      case "Polygon":
+        return fromParts("Polygon", this.splitPolygonAtAntimeridian(geometry.coordinates).map(rewind));
+      case "MultiPolygon": {
+        const parts = [];
+        geometry.coordinates.forEach((polygon) => {
+          this.splitPolygonAtAntimeridian(polygon).forEach((part) => parts.push(rewind(part)));
+        });
+        return { type: "MultiPolygon", coordinates: parts };
+      }
+      case "GeometryCollection":
+        return {
+          type: "GeometryCollection",
+          geometries: geometry.geometries.map((member) => this.toRFC7946Geometry(member)),
+        };
+      default:
+        return geometry;
+    }
+  };
+
+  /***************************************
+   * Split a Line Where It Crosses the Antimeridian
+   * @param {number[][]} line - The line's positions.
+   * @returns {number[][][]} - The line's parts; a line that does not cross is returned whole.
+   ****************************************/
+  GeoWKTer.prototype.splitLineAtAntimeridian = function (line) {
+    if (line.length === 0) return [line];
+
+    const parts = [[line[0]]];
+    for (let i = 1; i < line.length; i++) {
+      const previous = line[i - 1];
+      const current = line[i];
+      const delta = current[0] - previous[0];
+
+      if (Math.abs(delta) > 180) {
+        // Cross at +180 when heading east, at -180 when heading west
+        const edge = delta < 0 ? 180 : -180;
+        const unwrapped = [current[0] + (delta < 0 ? 360 : -360)].concat(current.slice(1));
+        const fraction = (edge - previous[0]) / (unwrapped[0] - previous[0]);
+        const crossing = this.interpolatePosition(previous, unwrapped, fraction);
+        parts[parts.length - 1].push([edge].concat(crossing.slice(1)));
+        parts.push([[-edge].concat(crossing.slice(1))]);
+      }
+      parts[parts.length - 1].push(current);
+    }
+    return parts;
+  };
+
+  /***************************************
+   * Split a Polygon Where It Crosses the Antimeridian
+   * The rings are unwrapped into continuous longitudes, clipped on either side
+   * of ±180 and shifted back into range.
+   *
+   * @param {number[][][]} polygon - The polygon's rings, shell first.
+   * @returns {number[][][][]} - The polygon's parts; a polygon that does not cross (or
+   *                             encloses a pole) is returned whole.
+   ****************************************/
+  GeoWKTer.prototype.splitPolygonAtAntimeridian = function (polygon) {
+    if (polygon.length === 0 || polygon[0].length === 0) return [polygon];
+
+    // Make longitudes continuous, so no step between vertices exceeds 180 degrees
+    const unwrap = (ring, start) => {
+      const result = [[start].concat(ring[0].slice(1))];
+      for (let i = 1; i < ring.length; i++) {
+        let lon = ring[i][0];
+        const previous = result[i - 1][0];
+        while (lon - previous > 180) lon -= 360;
+        while (lon - previous < -180) lon += 360;
+        result.push([lon].concat(ring[i].slice(1)));
+      }
+      return result;
+    };
+
+    const shell = unwrap(polygon[0], polygon[0][0][0]);
+    // A reduce rather than Math.min(...), which overflows the call stack on large rings
+    const [west, east] = shell.reduce(
+      ([min, max], position) => [Math.min(min, position[0]), Math.max(max, position[0])],
+      [Infinity, -Infinity]
+    );
+    const closed = shell[0][0] === shell[shell.length - 1][0];
+    if ((west >= -180 && east <= 180) || !closed) {
+      return [polygon];
+    }
+
+    // Unwrap each hole next to the shell, rather than a full turn away from it
+    const holes = polygon.slice(1).map((ring) => {
+      let start = ring[0][0];
+      while (start < west) start += 360;
+      while (start > east) start -= 360;
+      return unwrap(ring, start);
+    });
+
+    // Clip each ring to one side of the edge (Sutherland-Hodgman) and shift the result into range
+    const edge = east > 180 ? 180 : -180;
+    const clip = (ring, keepWest, shift) => {
+      const inside = (position) => (keepWest ? position[0] <= edge : position[0] >= edge);
+      const open = ring.slice(0, -1);
+      const clipped = [];
+      open.forEach((current, i) => {
+        const previous = open[(i + open.length - 1) % open.length];
+        if (inside(current) !== inside(previous)) {
+          const fraction = (edge - previous[0]) / (current[0] - previous[0]);
+          const crossing = this.interpolatePosition(previous, current, fraction);
+          clipped.push([edge].concat(crossing.slice(1)));
+        }
+        if (inside(current)) clipped.push(current);
+      });
+      if (clipped.length) clipped.push(clipped[0]);
+      return clipped.map((position) => [position[0] + shift].concat(position.slice(1)));
+    };
+
+    return [
+      [true, edge === 180 ? 0 : 360],
+      [false, edge === 180 ? -360 : 0],
+    ].reduce((parts, [keepWest, shift]) => {
+      const part = clip(shell, keepWest, shift);
+      if (part.length >= 4) {
+        const inner = holes.map((hole) => clip(hole, keepWest, shift)).filter((hole) => hole.length >= 4);
+        parts.push([part].concat(inner));
+      }
+      return parts;
+    }, []);
+  };
+
+  /***************************************
+   * Interpolate Between Two Positions
+   * @param {number[]} from - The start position.
+   * @param {number[]} to - The end position.
+   * @param {number} fraction - How far along, from 0 (at `from`) to 1 (at `to`).
+   * @returns {number[]} - The interpolated position, including any Z values.
+   ****************************************/
+  GeoWKTer.prototype.interpolatePosition = function (from, to, fraction) {
+    return from.map((value, index) => value + fraction * (to[index] - value));
+  };
+
+  /***************************************
+   * Calculate the Signed Area of a Ring
+   * @param {number[][]} ring - A closed ring.
+   * @returns {number} - The planar area in squared coordinate units: positive when
+   *                     the ring runs counter-clockwise, negative when clockwise.
+   ****************************************/
+  GeoWKTer.prototype.ringArea = function (ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return sum / 2;
+  };
+
+  /***************************************
+   * Compute a GeoJSON Bounding Box
+   * The box is three-dimensional when every position has a Z value. When the
+   * widest gap between the positions' longitudes is more than 180 degrees, they
+   * are closer together across the antimeridian, so the box crosses it, with a
+   * west edge greater than its east edge (RFC 7946, section 5.2).
+   *
+   * @param {number[][]} positions - The positions to enclose.
+   * @returns {number[]|undefined} - `[west, south, east, north]` (or with Z,
+   *                                 `[west, south, low, east, north, high]`), or undefined
+   *                                 when there are no positions.
+   ****************************************/
+  GeoWKTer.prototype.computeBbox = function (positions) {
+    if (positions.length === 0) return undefined;
+
+    const extent = (values) =>
+      values.reduce(([min, max], value) => [Math.min(min, value), Math.max(max, value)], [Infinity, -Infinity]);
+    const longitudes = positions.map((position) => position[0]).sort((a, b) => a - b);
+    let [west, east] = [longitudes[0], longitudes[longitudes.length - 1]];
+    const [south, north] = extent(positions.map((position) => position[1]));
+
+    // Leave out the widest gap between longitudes instead, if it is more than half the globe
+    // (but not when it runs the whole way from -180 to 180, as for a world-wide polygon)
+    for (let i = 1; i < longitudes.length; i++) {
+      if (longitudes[i] - longitudes[i - 1] > 180 && longitudes[i] - longitudes[i - 1] < 360) {
+        [west, east] = [longitudes[i], longitudes[i - 1]];
+        break; // Only one gap can be that wide
+      }
+    }
+
+    if (positions.every((position) => position.length > 2)) {
+      const [low, high] = extent(positions.map((position) => position[2]));
+      return [west, south, low, east, north, high];
+    }
+    return [west, south, east, north];
+  };
+
+  /***************************************
+   * Collect the Positions of a GeoJSON Geometry
+   * @param {Object|null} geometry - A GeoJSON geometry.
+   * @param {number[][]} [positions] - An array to add the positions to, in place of a new one.
+   * @returns {number[][]} - The array, with every position added in order; none for a null geometry.
+   ****************************************/
+  GeoWKTer.prototype.geometryPositions = function (geometry, positions = []) {
+    if (!geometry) return positions;
+    if (geometry.type === "GeometryCollection") {
+      geometry.geometries.forEach((member) => this.geometryPositions(member, positions));
+      return positions;
+    }
+    this.mapPositions(geometry.coordinates, (position) => positions.push(position));
+    return positions;
+  };
+
+  /***************************************
+   * Prepare a Record for Output
+   * Applies the writers' shared options in order: `transform`, then `linearize`,
+   * then `precision` and `simplify`, so each works in the output's units.
+   *
+   * @param {Object} record - An internal record.
+   * @param {Object} [options] - The writer's options.
+   * @returns {Object} - The record to write; the record itself when no option applies.
+   ****************************************/
+  GeoWKTer.prototype.prepareOutput = function (record, options = {}) {
+    let result = record;
+    if (options.transform !== undefined) {
+      result = this.transformRecord(result, options.transform);
+    }
+    if (typeof options.linearize === "object" && options.linearize !== null) {
+      result = this.linearizeRecord(result, options.linearize);
+    }
+    return this.generalizeRecord(result, options);
+  };
+
+  /***************************************
+   * Round and Simplify a Record for Output
+   * Coordinates are rounded first, and the consecutive duplicate vertices that
+   * rounding creates are removed. Lines and rings are then simplified. Parts
+   * that rounding collapses are dropped: lines left with fewer than two distinct
+   * vertices, holes and polygons whose rings are left with fewer than four. A
+   * collapsed single LINESTRING or POLYGON becomes EMPTY. Simplification never
+   * collapses a part; see `generalizePolygon` for how polygon rings are kept valid.
+   *
+   * @param {Object} geometry - An internal record, or a GEOMETRYCOLLECTION member.
+   * @param {Object} [options] - Output options:
+   *                             - precision: number of decimal places to round every
+   *                               coordinate value to (default: keep every digit).
+   *                             - simplify: a tolerance, or `{tolerance, algorithm}`, where
+   *                               algorithm is "douglas-peucker" (default), which drops vertices
+   *                               within `tolerance` of the simplified line, or "visvalingam",
+   *                               which drops vertices whose triangle with their neighbours has
+   *                               an area under `tolerance` (in square coordinate units).
+   * @returns {Object} - The generalized copy of the geometry, or the geometry itself when
+   *                     neither option is given.
+   * @throws {Error} - Throws if `precision` is not a non-negative integer or the algorithm
+   *                   is not supported.
+   ****************************************/
+  GeoWKTer.prototype.generalizeRecord = function (geometry, options = {}) {
+    const { precision } = options;
+    if (precision !== undefined && !(Number.isInteger(precision) && precision >= 0)) {
+      throw new Error(`Invalid precision: ${precision}`);
+    }
+    const simplify = typeof options.simplify === "number" ? { tolerance: options.simplify } : options.simplify || {};
+    const algorithm = simplify.algorithm || "douglas-peucker";
+    if (!["douglas-peucker", "visvalingam"].includes(algorithm)) {
+      throw new Error(`Unsupported simplify algorithm: ${algorithm}`);
+    }
+
+    const tolerance = simplify.tolerance > 0 ? simplify.tolerance : 0;
+    if (precision === undefined && tolerance === 0) return geometry;
+    return this.generalizeGeometry(geometry, { precision, tolerance, algorithm });
+  };
+
+  /***************************************
+   * Round and Simplify One Geometry
+   * @param {Object} geometry - An internal record, or a GEOMETRYCOLLECTION member.
+   * @param {Object} settings - The resolved `generalizeRecord` options.
+   * @returns {Object} - The generalized copy of the geometry.
+   ****************************************/
+  GeoWKTer.prototype.generalizeGeometry = function (geometry, settings) {
+    const key = ["components", "coordinates", "geometries"].find((name) => geometry[name] !== undefined);
+    const type = this.baseType(geometry.type);
+    if (type === "GEOMETRYCOLLECTION") {
+      return Object.assign({}, geometry, {
+        [key]: geometry[key].map((member) => this.generalizeGeometry(member, settings)),
+      });
+    }
+
+    // Carry M values on their vertices, so that dropped vertices take them along
+    const hasM = geometry.measures !== undefined;
+    let data = this.mapPositions(this.mergeMeasures(geometry[key], geometry.measures), (position) =>
+      settings.precision === undefined ? position : position.map((value) => Number(value.toFixed(settings.precision)))
+    );
+
+    const line = (path) => {
+      if (path.length === 0) return path;
+      const distinct = this.removeRepeatedPositions(path);
+      if (distinct.length < 2) return null; // Collapsed by rounding
+      const closed = path.length > 3 && this.isClosed(path);
+      const simplified = this.simplifyPath(distinct, settings);
+      return simplified.length < (closed ? 4 : 2) ? distinct : simplified;
+    };
+    const polygon = (rings) => (rings.length ? this.generalizePolygon(rings, settings) : rings);
+
+    switch (type) {
+      case "LINESTRING":
+        data = line(data) || [];
+        break;
+      case "MULTILINESTRING":
+        data = data.map(line).filter(Boolean);
+        break;
+      case "POLYGON":
+      case "TRIANGLE":
+        data = polygon(data) || [];
+        break;
+      case "MULTIPOLYGON":
+      case "TIN":
+      case "POLYHEDRALSURFACE":
+        data = data.map(polygon).filter(Boolean);
+        break;
+    }
+
+    const result = Object.assign({}, geometry);
+    if (hasM) {
+      result.measures = this.mapPositions(data, (position) => position[position.length - 1]);
+      data = this.mapPositions(data, (position) => position.slice(0, -1));
+    }
+    result[key] = data;
+    return result;
+  };
+
+  /***************************************
+   * Round and Simplify a Polygon's Rings
+   * Each simplified ring is kept only if it still has four or more points, does
+   * not cross itself or the polygon's other rings, and (for a hole) still lies
+   * inside the shell without nesting with another hole. The shell is also kept
+   * unsimplified when simplifying it would leave a hole outside. Otherwise the
+   * ring is kept as it was after rounding.
+   *
+   * @param {number[][][]} rings - The shell and holes, already rounded.
+   * @param {Object} settings - The resolved `generalizeRecord` options.
+   * @returns {number[][][]|null} - The generalized rings, or null when rounding
+   *                                collapsed the shell.
+   ****************************************/
+  GeoWKTer.prototype.generalizePolygon = function (rings, settings) {
+    const [shell, ...holes] = rings.map((ring) => this.removeRepeatedPositions(ring));
+    if (shell.length < 4) return null;
+    const keptHoles = holes.filter((hole) => hole.length >= 4); // Holes collapsed by rounding are dropped
+
+    const fits = (ring, others) =>
+      ring.length >= 4 && !this.ringsCross(ring, ring) && others.every((other) => !this.ringsCross(ring, other));
+
+    // Simplification only drops vertices, so a ring it leaves alone needs no checks; rounding
+    // alone is covered by the duplicate and collapse checks above
+    let simpleShell = this.simplifyPath(shell, settings);
+    if (
+      simpleShell.length !== shell.length &&
+      (!fits(simpleShell, keptHoles) || keptHoles.some((hole) => this.ringInsideRing(hole, simpleShell) === false))
+    ) {
+      simpleShell = shell;
+    }
+
+    const result = [simpleShell];
+    keptHoles.forEach((hole, index) => {
+      const others = keptHoles.filter((other, otherIndex) => otherIndex !== index);
+      const simpleHole = this.simplifyPath(hole, settings);
+      if (simpleHole.length === hole.length) {
+        result.push(hole);
+        return;
+      }
+      const valid =
+        fits(simpleHole, result.concat(keptHoles.slice(index + 1))) &&
+        this.ringInsideRing(simpleHole, simpleShell) !== false &&
+        others.every(
+          (other) => this.ringInsideRing(other, simpleHole) !== true && this.ringInsideRing(simpleHole, other) !== true
+        );
+      result.push(valid ? simpleHole : hole);
+    });
+    return result;
+  };
+
+  /***************************************
+   * Remove Consecutive Repeated Positions
+   * @param {number[][]} path - A line or ring.
+   * @returns {number[][]} - The path without vertices that repeat the X and Y of the one before.
+   ****************************************/
+  GeoWKTer.prototype.removeRepeatedPositions = function (path) {
+    return path.filter((position, i) => i === 0 || position[0] !== path[i - 1][0] || position[1] !== path[i - 1][1]);
+  };
+
+  /***************************************
+   * Test Whether a Path Is Closed
+   * @param {number[][]} path - A line or ring.
+   * @returns {boolean} - True if its first and last positions have the same X and Y.
+   ****************************************/
+  GeoWKTer.prototype.isClosed = function (path) {
+    const first = path[0];
+    const last = path[path.length - 1];
+    return first[0] === last[0] && first[1] === last[1];
+  };
+
+  /***************************************
+   * Simplify a Line or Ring
+   * Both algorithms keep the first and last positions, so rings stay closed.
+   *
+   * @param {number[][]} path - The positions.
+   * @param {Object} settings - The resolved `generalizeRecord` options.
+   * @returns {number[][]} - The kept positions, in order.
+   ****************************************/
+  GeoWKTer.prototype.simplifyPath = function (path, settings) {
+    if (settings.tolerance === 0 || path.length < 3) return path;
+    return settings.algorithm === "visvalingam"
+      ? this.simplifyVisvalingam(path, settings.tolerance)
+      : this.simplifyDouglasPeucker(path, settings.tolerance);
+  };
+
+  /***************************************
+   * Simplify a Path with the Douglas-Peucker Algorithm
+   * @param {number[][]} path - The positions.
+   * @param {number} tolerance - The greatest distance a dropped vertex may lie from the result.
+   * @returns {number[][]} - The kept positions, in order.
+   ****************************************/
+  GeoWKTer.prototype.simplifyDouglasPeucker = function (path, tolerance) {
+    const keep = path.map((position, i) => i === 0 || i === path.length - 1);
+
+    // Split each span at its farthest vertex until every vertex is within tolerance
+    const spans = [[0, path.length - 1]];
+    while (spans.length) {
+      const [first, last] = spans.pop();
+      let farthest = -1;
+      let greatest = tolerance;
+      for (let i = first + 1; i < last; i++) {
+        const distance = this.pointSegmentDistance(path[i], path[first], path[last]);
+        if (distance > greatest) {
+          farthest = i;
+          greatest = distance;
+        }
+      }
+      if (farthest !== -1) {
+        keep[farthest] = true;
+        spans.push([first, farthest], [farthest, last]);
+      }
+    }
+    return path.filter((position, i) => keep[i]);
+  };
+
+  /***************************************
+   * Simplify a Path with the Visvalingam-Whyatt Algorithm
+   * Repeatedly drops the vertex whose triangle with its two neighbours has the
+   * smallest area. A vertex's effective area never falls below that of a vertex
+   * dropped before it, so dropping stops at the same place however it is ordered.
+   *
+   * @param {number[][]} path - The positions.
+   * @param {number} tolerance - The smallest triangle area a kept vertex may have.
+   * @returns {number[][]} - The kept positions, in order.
+   ****************************************/
+  GeoWKTer.prototype.simplifyVisvalingam = function (path, tolerance) {
+    const last = path.length - 1;
+    const previous = path.map((position, i) => i - 1);
+    const next = path.map((position, i) => i + 1);
+    const removed = path.map(() => false);
+    const triangleArea = (i) => {
+      const [a, b, c] = [path[previous[i]], path[i], path[next[i]]];
+      return Math.abs((a[0] - b[0]) * (c[1] - b[1]) - (c[0] - b[0]) * (a[1] - b[1])) / 2;
+    };
+    const areas = path.map((position, i) => (i === 0 || i === last ? Infinity : triangleArea(i)));
+
+    // A binary min-heap of [area, index]; entries whose area has since changed are skipped
+    const heap = [];
+    const push = (entry) => {
+      let i = heap.push(entry) - 1;
+      while (i > 0 && heap[(i - 1) >> 1][0] > heap[i][0]) {
+        [heap[i], heap[(i - 1) >> 1]] = [heap[(i - 1) >> 1], heap[i]];
+        i = (i - 1) >> 1;
+      }
+    };
+    const pop = () => {
+      const top = heap[0];
+      const end = heap.pop();
+      if (heap.length) {
+        heap[0] = end;
+        for (let i = 0; ; ) {
+          const smallest = [2 * i + 1, 2 * i + 2].reduce((min, child) => {
+            return child < heap.length && heap[child][0] < heap[min][0] ? child : min;
+          }, i);
+          if (smallest === i) break;
+          [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+          i = smallest;
+        }
+      }
+      return top;
+    };
+    areas.forEach((area, i) => i !== 0 && i !== last && push([area, i]));
+
+    while (heap.length) {
+      const [area, i] = pop();
+      if (removed[i] || area !== areas[i]) continue;
+      if (area >= tolerance) break;
+
+      removed[i] = true;
+      next[previous[i]] = next[i];
+      previous[next[i]] = previous[i];
+      [previous[i], next[i]].forEach((neighbour) => {
+        if (neighbour === 0 || neighbour === last) return;
+        areas[neighbour] = Math.max(triangleArea(neighbour), area);
+        push([areas[neighbour], neighbour]);
+      });
+    }
+    return path.filter((position, i) => !removed[i]);
+  };
+
+  /***************************************
+   * Measure the Distance from a Point to a Segment
+   * @param {number[]} point - The point.
+   * @param {number[]} a - The segment's start.
+   * @param {number[]} b - The segment's end.
+   * @returns {number} - The planar distance to the nearest point of the segment.
+   ****************************************/
+  GeoWKTer.prototype.pointSegmentDistance = function (point, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared
+      ? Math.max(0, Math.min(1, ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / lengthSquared))
+      : 0;
+    return Math.hypot(point[0] - (a[0] + t * dx), point[1] - (a[1] + t * dy));
+  };
+
+  /***************************************
+   * Merge a GeometryCollection into a Multi* Geometry
+   * When every non-EMPTY member (at any nesting depth) is a point, a line or a
+   * polygon, single or Multi*, the members are combined into one MULTIPOINT,
+   * MULTILINESTRING or MULTIPOLYGON, in member order. The faces of TRIANGLE, TIN
+   * and POLYHEDRALSURFACE members count as polygons.
+   *
+   * @param {Object} collection - A GEOMETRYCOLLECTION record or member.
+   * @returns {Object} - The merged `{type, coordinates, dimension}` geometry (with
+   *                     `measures` when the members kept them), or the collection
+   *                     itself when its members are of different kinds or all EMPTY.
+   ****************************************/
+  GeoWKTer.prototype.mergeCollection = function (collection) {
+    const kinds = {
+      POINT: "MULTIPOINT",
+      MULTIPOINT: "MULTIPOINT",
+      LINESTRING: "MULTILINESTRING",
+      MULTILINESTRING: "MULTILINESTRING",
+      POLYGON: "MULTIPOLYGON",
+      MULTIPOLYGON: "MULTIPOLYGON",
+      TRIANGLE: "MULTIPOLYGON",
+      TIN: "MULTIPOLYGON",
+      POLYHEDRALSURFACE: "MULTIPOLYGON",
+    };
+    const multiple = ["MULTIPOINT", "MULTILINESTRING", "MULTIPOLYGON", "TIN", "POLYHEDRALSURFACE"];
+
+    // Flatten nested collections into their non-EMPTY leaf geometries
+    const leaves = [];
+    const flatten = (geometries) => {
+      geometries.forEach((geometry) => {
+        if (geometry.type.toUpperCase() === "GEOMETRYCOLLECTION") {
+          flatten(geometry.geometries);
+        } else if (!this.isEmptyGeometry(geometry)) {
+          leaves.push(geometry);
+        }
+      });
+    };
+    flatten(collection.components || collection.geometries);
+
+    const targets = leaves.map((leaf) => kinds[this.baseType(leaf.type)]);
+    if (!targets.length || targets.some((target) => !target || target !== targets[0])) {
+      return collection;
+    }
+
+    // Single geometries become one part; Multi* geometries contribute all their parts
+    const coordinates = [];
+    const measures = [];
+    leaves.forEach((leaf) => {
+      if (multiple.includes(this.baseType(leaf.type))) {
+        // Parts are pushed one by one, since spreading a large MULTIPOINT overflows the call stack
+        leaf.coordinates.forEach((part, index) => {
+          coordinates.push(part);
+          measures.push(leaf.measures ? leaf.measures[index] : undefined);
+        });
+      } else {
+        coordinates.push(leaf.coordinates);
+        measures.push(leaf.measures);
+      }
+    });
+
+    const merged = { type: targets[0], coordinates, dimension: collection.dimension };
+    if (measures.every((measure) => measure !== undefined)) {
+      merged.measures = measures;
+    }
+    return merged;
+  };
+
+  /***************************************
+   * Check Whether a Geometry Is EMPTY
+   * @param {Object} geometry - An internal record or GEOMETRYCOLLECTION member.
+   * @returns {boolean} - True when the geometry has no vertices at all; a collection
+   *                      is empty when all of its members are.
+   ****************************************/
+  GeoWKTer.prototype.isEmptyGeometry = function (geometry) {
+    const data = geometry.components || geometry.coordinates || geometry.geometries;
+    if (geometry.type.toUpperCase() === "GEOMETRYCOLLECTION") {
+      return data.every((member) => this.isEmptyGeometry(member));
+    }
+    return this.isEmptyCoordinates(data);
+  };
+
+  /***************************************
+   * Check Whether a Coordinate Array Has No Positions
+   * @param {Array} coordinates - A single position or any nesting of positions.
+   * @returns {boolean} - True when the array contains no position.
+   ****************************************/
+  GeoWKTer.prototype.isEmptyCoordinates = function (coordinates) {
+    return typeof coordinates[0] !== "number" && coordinates.every((item) => this.isEmptyCoordinates(item));
+  };
+
+  /***************************************
+   * Determine the SRID Shared by a Set of Records
+   * Records without an SRID count as EPSG:4326, the historical default.
+   *
+   * @param {Object[]} dataArray - The internal records.
+   * @param {Object} [options] - The `toGeoJSON` options; `mixedSrid` is consulted.
+   * @returns {number|undefined} - The shared SRID, or undefined when the records
+   *                               mix SRIDs and `mixedSrid` is "warn".
+   * @throws {Error} - Throws if the records mix SRIDs and `mixedSrid` is not "warn".
+   ****************************************/
+  GeoWKTer.prototype.collectionSrid = function (dataArray, options = {}) {
+    const srids = dataArray.map((data) => (data.srid !== undefined ? data.srid : 4326));
+    const distinct = srids.filter((srid, index) => srids.indexOf(srid) === index);
+
+    if (distinct.length <= 1) {
+      return distinct.length ? distinct[0] : 4326;
+    }
+
+    const message = `Cannot write one CRS for records with mixed SRIDs: ${distinct.join(", ")}`;
+    if (options.mixedSrid === "warn") {
+      console.warn(`${message}; the crs member has been left out`);
+      return undefined;
+    }
+    throw new Error(message);
+  };
+
+  /***************************************
+   * Validate Geometries
+   * This function checks geometries against the OGC Simple Features rules that
+   * most often break downstream tools, and reports every problem found instead
+   * of stopping at the first.
+   *
+   * Errors (the geometry is invalid):
+   * - "Invalid Coordinate": a coordinate value is NaN or infinite.
+   * - "Too few distinct points in geometry component": a linestring with fewer than two distinct points.
+   * - "Too few points": a polygon ring with fewer than four points or three distinct points.
+   * - "Ring is not closed": a ring's last point differs from its first.
+   * - "Ring Self-intersection": a ring crosses or touches itself.
+   * - "Self-intersection": a hole crosses its shell.
+   * - "Hole lies outside shell": a hole is not inside its polygon's shell.
+   * - "Holes are nested": a hole is inside another hole.
+   * - "Too many points": a TRIANGLE (or TIN face) ring with more than four points.
+   * - "Unknown geometry type": a type with no built-in `baseType` (see `GeoWKTer.registerType`);
+   *   the issue carries the geometry's `type`.
+   *
+   * A geometry of a registered type is checked as its `baseType`.
+   *
+   * The faces of TRIANGLE, TIN and POLYHEDRALSURFACE geometries are often vertical
+   * (the walls of a building), so they are checked only for invalid coordinates,
+   * closure and their number of points, comparing positions in every ordinate.
+   *
+   * Warnings (the geometry is valid, but suspect):
+   * - "Repeated Point": a vertex is the same as the one before it.
+   * - "Coordinate out of range": a longitude outside ±180 or latitude outside ±90, for records
+   *   that have no SRID or a geographic one (EPSG:4326 or EPSG:4269).
+   *
+   * Self-intersection is tested only between segments whose bounding boxes overlap
+   * (see `sweepSegments`). Overlapping MULTIPOLYGON parts are not detected.
+   *
+   * @param {Object[]|Object} dataArray - Internal records, or a GeoJSON object.
+   * @returns {Object} - An object with:
+   *                      - valid: true when there are no errors (warnings are allowed).
+   *                      - issues: one entry per problem, with its `severity` ("error" or
+   *                        "warning"), the OGC-style `reason`, and where it is: the `geometry`
+   *                        index (of the record, or of the Feature in a FeatureCollection),
+   *                        then, where they apply, the `member` index in a flattened
+   *                        GEOMETRYCOLLECTION (as `memberIndex` in `toGeoJSON`), the `part`
+   *                        index in a Multi* geometry, the `face` index in a TIN or
+   *                        POLYHEDRALSURFACE, the `ring` index (0 for the shell), the
+   *                        `vertex` index, and the `location` [x, y] of the problem.
+   ****************************************/
+  GeoWKTer.prototype.validate = function (dataArray) {
+    // Pair each record with the index reported for it
+    let entries;
+    if (Array.isArray(dataArray)) {
+      entries = dataArray.map((record, index) => ({ record, index }));
+    } else if (dataArray && dataArray.type === "FeatureCollection") {
+      const srid = this.crsToSrid(dataArray.crs);
+      entries = [];
+      dataArray.features.forEach((feature, index) => {
+        this.fromGeoJSON(feature).forEach((record) => {
+          if (record.srid === undefined && srid !== undefined) record.srid = srid;
+          entries.push({ record, index });
+        });
+      });
+    } else {
+      entries = this.fromGeoJSON(dataArray).map((record) => ({ record, index: 0 }));
+    }
+
+    const issues = [];
+    const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+    entries.forEach(({ record, index }) => {
+      const geographic = record.srid === undefined || record.srid === 4326 || record.srid === 4269;
+      const report = (where, severity, reason, location) => {
+        const issue = Object.assign({ severity, reason, geometry: index }, where);
+        if (location) issue.location = [location[0], location[1]];
+        issues.push(issue);
+      };
+
+      // Check every position's values; returns false if any is not finite
+      const checkPositions = (positions, where) =>
+        positions.reduce((finite, position, vertex) => {
+          if (!position.every(Number.isFinite)) {
+            report(Object.assign({}, where, { vertex }), "error", "Invalid Coordinate");
+            return false;
+          }
+          if (geographic && (Math.abs(position[0]) > 180 || Math.abs(position[1]) > 90)) {
+            report(Object.assign({}, where, { vertex }), "warning", "Coordinate out of range", position);
+          }
+          return finite;
+        }, true);
+
+      // Warn about repeated vertices; returns the distinct vertices with their original indexes
+      const distinctVertices = (positions, where) =>
+        positions.reduce((distinct, position, vertex) => {
+          if (vertex > 0 && samePoint(position, positions[vertex - 1])) {
+            report(Object.assign({}, where, { vertex }), "warning", "Repeated Point", position);
+          } else {
+            distinct.push({ position, vertex });
+          }
+          return distinct;
+        }, []);
+
+      const checkLine = (positions, where) => {
+        if (positions.length === 0) return;
+        const finite = checkPositions(positions, where);
+        const distinct = distinctVertices(positions, where);
+        if (finite && distinct.length < 2) {
+          report(where, "error", "Too few distinct points in geometry component");
+        }
+      };
+
+      // Check one ring; returns true if it is usable for the shell and hole checks
+      const checkRing = (ring, where) => {
+        if (!checkPositions(ring, where)) return false;
+        const distinct = distinctVertices(ring, where);
+
+        if (ring.length === 0 || !samePoint(ring[0], ring[ring.length - 1])) {
+          const last = ring.length ? { vertex: ring.length - 1 } : {};
+          report(Object.assign({}, where, last), "error", "Ring is not closed");
+          return false;
+        }
+        if (ring.length < 4 || distinct.length < 4) {
+          report(where, "error", "Too few points");
+          return false;
+        }
+
+        // Compare segments whose bounding boxes overlap; neighbours share a vertex, so they must only not fold back
+        const positions = distinct.map(({ position }) => position);
+        const count = positions.length - 1;
+        let first = null; // The crossing a comparison of every pair in order would meet first
+        this.sweepSegments(positions, positions, (i, j) => {
+          const order = i * count + j;
+          if (first && order >= first.order) return;
+          const [a, b, c, d] = [positions[i], positions[i + 1], positions[j], positions[j + 1]];
+          let crossing;
+          if (j === i + 1) {
+            crossing = this.segmentsFoldBack(b, a, d);
+          } else if (i === 0 && j === count - 1) {
+            crossing = this.segmentsFoldBack(a, b, c); // The last segment ends at the first vertex
+          } else {
+            crossing = this.segmentIntersection(a, b, c, d);
+          }
+          if (crossing) {
+            first = { order, vertex: distinct[j].vertex, point: crossing.point };
+          }
+        });
+        if (first) {
+          report(Object.assign({}, where, { vertex: first.vertex }), "error", "Ring Self-intersection", first.point);
+          return false;
+        }
+        return true;
+      };
+
+      // Faces of a 3D surface may be vertical, so they are compared in every ordinate and
+      // checked only for closure and size
+      const checkFace = (rings, where, triangle) => {
+        const same = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+        rings.forEach((ring, index) => {
+          const at = Object.assign({}, where, { ring: index });
+          if (!checkPositions(ring, at)) return;
+          if (ring.length === 0 || !same(ring[0], ring[ring.length - 1])) {
+            report(Object.assign({}, at, ring.length ? { vertex: ring.length - 1 } : {}), "error", "Ring is not closed");
+            return;
+          }
+          const distinct = ring.filter((position, vertex) => {
+            if (vertex === 0 || !same(position, ring[vertex - 1])) return true;
+            report(Object.assign({}, at, { vertex }), "warning", "Repeated Point", position);
+            return false;
+          });
+          if (ring.length < 4 || distinct.length < 4) {
+            report(at, "error", "Too few points");
+          } else if (triangle && ring.length > 4) {
+            report(at, "error", "Too many points");
+          }
+        });
+      };
+
+      const checkPolygon = (rings, where) => {
+        const usable = rings.map((ring, index) => checkRing(ring, Object.assign({}, where, { ring: index })));
+        if (!usable[0]) return;
+        const [shell, ...holes] = rings;
+
+        holes.forEach((hole, index) => {
+          const ring = index + 1;
+          if (!usable[ring]) return;
+          const inside = this.ringInsideRing(hole, shell);
+          if (inside === false) {
+            report(Object.assign({}, where, { ring }), "error", "Hole lies outside shell", hole[0]);
+            return;
+          }
+          const crossing = this.ringsCross(hole, shell);
+          if (crossing) {
+            report(Object.assign({}, where, { ring }), "error", "Self-intersection", crossing.point);
+            return;
+          }
+          holes.forEach((other, otherIndex) => {
+            if (otherIndex !== index && usable[otherIndex + 1] && this.ringInsideRing(hole, other)) {
+              report(Object.assign({}, where, { ring }), "error", "Holes are nested", hole[0]);
+            }
+          });
+        });
+      };
+
+      // Check a geometry by type; collection members are numbered as they are flattened
+      let member = 0;
+      const checkGeometry = (geometry, where) => {
+        const data = geometry.components || geometry.coordinates || geometry.geometries;
+        const type = this.baseType(geometry.type);
+        switch (type) {
+          case "POINT":
+            if (data.length) checkPositions([data], where);
+            break;
+          case "LINESTRING":
+            checkLine(data, where);
+            break;
+          case "POLYGON":
+            if (data.length) checkPolygon(data, where);
+            break;
+          case "MULTIPOINT":
+            data.forEach((point, part) => {
+              if (point.length) checkPositions([point], Object.assign({}, where, { part }));
+            });
+            break;
+          case "MULTILINESTRING":
+            data.forEach((line, part) => checkLine(line, Object.assign({}, where, { part })));
+            break;
+          case "MULTIPOLYGON":
+            data.forEach((polygon, part) => {
+              if (polygon.length) checkPolygon(polygon, Object.assign({}, where, { part }));
+            });
+            break;
+          case "TRIANGLE":
+            checkFace(data, where, true);
+            break;
+          case "TIN":
+          case "POLYHEDRALSURFACE":
+            data.forEach((face, faceIndex) => {
+              checkFace(face, Object.assign({}, where, { face: faceIndex }), type === "TIN");
+            });
+            break;
+          case "GEOMETRYCOLLECTION":
+            data.forEach((geometryMember) => {
+              if (geometryMember.type.toUpperCase() === "GEOMETRYCOLLECTION") {
+                checkGeometry(geometryMember, where);
+              } else {
+                checkGeometry(geometryMember, { member: member++ });
+              }
+            });
+            break;
+          default:
+            report(Object.assign({}, where, { type }), "error", "Unknown geometry type");
+        }
+      };
+      checkGeometry(record, {});
+    });
+
+    return { valid: !issues.some((issue) => issue.severity === "error"), issues };
+  };
+
+  /***************************************
+   * Find Where Two Segments Meet
+   * @param {number[]} a - First segment's start.
+   * @param {number[]} b - First segment's end.
+   * @param {number[]} c - Second segment's start.
+   * @param {number[]} d - Second segment's end.
+   * @returns {Object|null} - `{point, proper}` when the segments meet, where `point` is a
+   *                          shared point and `proper` is true when they cross at a point
+   *                          interior to both; null when they do not meet.
+   ****************************************/
+  GeoWKTer.prototype.segmentIntersection = function (a, b, c, d) {
+    const orientation = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+    const within = (p, q, r) =>
+      Math.min(p[0], q[0]) <= r[0] &&
+      r[0] <= Math.max(p[0], q[0]) &&
+      Math.min(p[1], q[1]) <= r[1] &&
+      r[1] <= Math.max(p[1], q[1]);
+
+    const o1 = orientation(a, b, c);
+    const o2 = orientation(a, b, d);
+    const o3 = orientation(c, d, a);
+    const o4 = orientation(c, d, b);
+
+    if (o1 * o2 < 0 && o3 * o4 < 0) {
+      const denominator = (b[0] - a[0]) * (d[1] - c[1]) - (b[1] - a[1]) * (d[0] - c[0]);
+      const t = ((c[0] - a[0]) * (d[1] - c[1]) - (c[1] - a[1]) * (d[0] - c[0])) / denominator;
+      return { point: [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])], proper: true };
+    }
+
+    // Otherwise they meet only where an endpoint lies on the other segment
+    if (o1 === 0 && within(a, b, c)) return { point: c, proper: false };
+    if (o2 === 0 && within(a, b, d)) return { point: d, proper: false };
+    if (o3 === 0 && within(c, d, a)) return { point: a, proper: false };
+    if (o4 === 0 && within(c, d, b)) return { point: b, proper: false };
+    return null;
+  };
+
+  /***************************************
+   * Detect Neighbouring Segments That Fold Back
+   * Consecutive ring segments always share a vertex; beyond it, they meet only
+   * when they run back along each other, forming a spike.
+   *
+   * @param {number[]} vertex - The shared vertex.
+   * @param {number[]} p - The far end of one segment.
+   * @param {number[]} q - The far end of the other segment.
+   * @returns {Object|null} - `{point, proper: false}` at the shared vertex when they overlap, or null.
+   ****************************************/
+  GeoWKTer.prototype.segmentsFoldBack = function (vertex, p, q) {
+    const u = [p[0] - vertex[0], p[1] - vertex[1]];
+    const v = [q[0] - vertex[0], q[1] - vertex[1]];
+    const collinear = u[0] * v[1] - u[1] * v[0] === 0;
+    return collinear && u[0] * v[0] + u[1] * v[1] > 0 ? { point: vertex, proper: false } : null;
+  };
+
+  /***************************************
+   * Locate a Point Relative to a Ring
+   * @param {number[]} point - The point.
+   * @param {number[][]} ring - A closed ring.
+   * @returns {string} - "inside", "outside" or "boundary".
+   ****************************************/
+  GeoWKTer.prototype.locatePoint = function (point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      const cross = (xj - xi) * (point[1] - yi) - (yj - yi) * (point[0] - xi);
+      if (
+        cross === 0 &&
+        Math.min(xi, xj) <= point[0] &&
+        point[0] <= Math.max(xi, xj) &&
+        Math.min(yi, yj) <= point[1] &&
+        point[1] <= Math.max(yi, yj)
+      ) {
+        return "boundary";
+      }
+      if (yi > point[1] !== yj > point[1] && point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside ? "inside" : "outside";
+  };
+
+  /***************************************
+   * Test Whether One Ring Lies Inside Another
+   * Decided by the first vertex of `inner` that is not on the boundary of `outer`.
+   *
+   * @param {number[][]} inner - The ring to test.
+   * @param {number[][]} outer - The enclosing ring.
+   * @returns {boolean|undefined} - True or false, or undefined when every vertex is on the boundary.
+   ****************************************/
+  GeoWKTer.prototype.ringInsideRing = function (inner, outer) {
+    for (const point of inner) {
+      const location = this.locatePoint(point, outer);
+      if (location !== "boundary") return location === "inside";
+    }
+    return undefined;
+  };
+
+  /***************************************
+   * Visit the Segment Pairs Whose Bounding Boxes Overlap
+   * The segments are swept in order of their west ends, so only segments whose
+   * bounding boxes overlap are paired, rather than every pair.
+   *
+   * @param {number[][]} first - A path.
+   * @param {number[][]} second - Another path, or `first` to pair a path's segments with each other.
+   * @param {Function} visit - Called with `(i, j)` for segment i of `first` (from `first[i]` to
+   *                           `first[i + 1]`) and segment j of `second`, with i < j when the
+   *                           paths are the same. The pairs come in no particular order.
+   ****************************************/
+  GeoWKTer.prototype.sweepSegments = function (first, second, visit) {
+    const same = first === second;
+    const segments = (path, owner) =>
+      path.slice(1).map((end, index) => {
+        const start = path[index];
+        return {
+          owner,
+          index,
+          west: Math.min(start[0], end[0]),
+          east: Math.max(start[0], end[0]),
+          south: Math.min(start[1], end[1]),
+          north: Math.max(start[1], end[1]),
+        };
+      });
+    const sweep = (same ? segments(first, 0) : segments(first, 0).concat(segments(second, 1))).sort(
+      (a, b) => a.west - b.west
+    );
+
+    let active = []; // Earlier segments that reach at least as far east as the current one starts
+    sweep.forEach((segment) => {
+      active = active.filter((other) => other.east >= segment.west);
+      active.forEach((other) => {
+        if ((!same && other.owner === segment.owner) || other.north < segment.south || other.south > segment.north) {
+          return;
+        }
+        if (same) {
+          visit(Math.min(segment.index, other.index), Math.max(segment.index, other.index));
+        } else if (segment.owner === 0) {
+          visit(segment.index, other.index);
+        } else {
+          visit(other.index, segment.index);
+        }
+      });
+      active.push(segment);
+    });
+  };
+
+  /***************************************
+   * Find a Proper Crossing Between Two Rings
+   * Only segments whose bounding boxes overlap are compared (see `sweepSegments`).
+   *
+   * @param {number[][]} first - A closed ring.
+   * @param {number[][]} second - Another closed ring, or `first` to find a self-crossing.
+   * @returns {Object|null} - The first crossing from `segmentIntersection`, in the order of
+   *                          `first`'s segments and then `second`'s, or null. Rings that
+   *                          only touch at points do not cross.
+   ****************************************/
+  GeoWKTer.prototype.ringsCross = function (first, second) {
+    let found = null;
+    let foundOrder = Infinity;
+    this.sweepSegments(first, second, (i, j) => {
+      // Keep the crossing the nested loops of a full comparison would meet first
+      const order = i * second.length + j;
+      if (order >= foundOrder) return;
+      const crossing = this.segmentIntersection(first[i], first[i + 1], second[j], second[j + 1]);
+      if (crossing && crossing.proper) {
+        found = crossing;
+        foundOrder = order;
+      }
+    });
+    return found;
+  };
+
+  /***************************************
+   * Join Lists into One
+   * The items are pushed one at a time, since spreading the parts of a large
+   * geometry into `concat` or `push` overflows the call stack.
+   *
+   * @param {Array[]} lists - The lists to join.
+   * @returns {Array} - A new list with every item of each list in turn.
+   ****************************************/
+  GeoWKTer.prototype.joinLists = function (lists) {
+    const joined = [];
+    lists.forEach((list) => list.forEach((item) => joined.push(item)));
+    return joined;
+  };
+
+  /***************************************
+   * Measure the Length of a Geometry
+   * Lines count their full length and polygons their perimeter (every ring);
+   * points count nothing.
+   *
+   * @param {Object|Object[]} geometry - An internal record (or member), a GeoJSON geometry,
+   *                                     Feature or FeatureCollection, or an array of any of these.
+   * @param {Object} [options] - Measurement options:
+   *                             - geodesic: when true, coordinates are WGS 84 longitude/latitude
+   *                               and the length is measured along the ellipsoid, in metres
+   *                               (default: false, planar, in coordinate units).
+   * @returns {number} - The length.
+   ****************************************/
+  GeoWKTer.prototype.length = function (geometry, options = {}) {
+    const { lines, polygons } = this.geometryParts(geometry);
+    const paths = this.joinLists([lines, ...polygons]);
+    const segmentLength = options.geodesic
+      ? (a, b) => this.geodesicDistance(a, b)
+      : (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+
+    return paths.reduce((total, path) => {
+      for (let i = 1; i < path.length; i++) total += segmentLength(path[i - 1], path[i]);
+      return total;
+    }, 0);
+  };
+
+  /***************************************
+   * Measure the Area of a Geometry
+   * Polygons count their shell less their holes, whatever the rings' winding;
+   * points and lines count nothing. Geodesic areas are computed on the authalic
+   * sphere (which has the ellipsoid's surface area) after mapping latitudes to
+   * authalic latitudes, an equal-area mapping; edges are taken as great circles
+   * on that sphere, which differs from the ellipsoidal geodesic by a negligible
+   * amount for edges up to a few hundred kilometres.
+   *
+   * @param {Object|Object[]} geometry - See `length`.
+   * @param {Object} [options] - See `length`; geodesic areas are in square metres.
+   * @returns {number} - The area.
+   ****************************************/
+  GeoWKTer.prototype.area = function (geometry, options = {}) {
+    const { polygons } = this.geometryParts(geometry);
+    const ringArea = options.geodesic ? (ring) => this.geodesicRingArea(ring) : (ring) => this.ringArea(ring);
+
+    return polygons.reduce(
+      (total, rings) =>
+        rings.reduce((sum, ring, index) => sum + (index === 0 ? 1 : -1) * Math.abs(ringArea(ring)), total),
+      0
+    );
+  };
+
+  /***************************************
+   * Find the Centroid of a Geometry
+   * As in JTS, only the parts of the highest dimension count: the area-weighted
+   * centroid of the polygons, or else the length-weighted centroid of the lines,
+   * or else the mean of the points. The centroid is computed in the coordinate
+   * plane in both modes, which for longitude/latitude is a good approximation
+   * for features that are small and do not cross the antimeridian.
+   *
+   * @param {Object|Object[]} geometry - See `length`.
+   * @returns {number[]|null} - The centroid `[x, y]`, or null for an EMPTY geometry.
+   ****************************************/
+  GeoWKTer.prototype.centroid = function (geometry) {
+    const { points, lines, polygons } = this.geometryParts(geometry);
+    let sumX = 0;
+    let sumY = 0;
+    let weight = 0;
+    const add = (x, y, w) => {
+      sumX += x * w;
+      sumY += y * w;
+      weight += w;
+    };
+
+    // Area centroid: each ring's shoelace centroid, weighted by its area (negative for holes)
+    polygons.forEach((rings) =>
+      rings.forEach((ring, index) => {
+        const area = this.ringArea(ring);
+        if (area === 0) return;
+        let cx = 0;
+        let cy = 0;
+        for (let i = 0; i < ring.length - 1; i++) {
+          const cross = ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+          cx += (ring[i][0] + ring[i + 1][0]) * cross;
+          cy += (ring[i][1] + ring[i + 1][1]) * cross;
+        }
+        add(cx / (6 * area), cy / (6 * area), (index === 0 ? 1 : -1) * Math.abs(area));
+      })
+    );
+
+    // Line centroid: each segment's midpoint, weighted by its length
+    if (weight === 0) {
+      this.joinLists([lines, ...polygons]).forEach((path) => {
+        for (let i = 1; i < path.length; i++) {
+          const length = Math.hypot(path[i][0] - path[i - 1][0], path[i][1] - path[i - 1][1]);
+          add((path[i][0] + path[i - 1][0]) / 2, (path[i][1] + path[i - 1][1]) / 2, length);
+        }
+      });
+    }
+
+    // Point centroid: the mean of every vertex
+    if (weight === 0) {
+      this.joinLists([points, ...lines, ...this.joinLists(polygons)]).forEach(([x, y]) => add(x, y, 1));
+    }
+
+    return weight === 0 ? null : [sumX / weight, sumY / weight];
+  };
+
+  /***************************************
+   * Find the Bounding Box of a Geometry
+   * @param {Object|Object[]} geometry - See `length`.
+   * @param {Object} [options] - See `length`; in geodesic mode, a box around positions on
+   *                             both sides of the antimeridian may cross it (see `computeBbox`).
+   * @returns {number[]|null} - `[minX, minY, maxX, maxY]`, or null for an EMPTY geometry.
+   ****************************************/
+  GeoWKTer.prototype.bbox = function (geometry, options = {}) {
+    const { points, lines, polygons } = this.geometryParts(geometry);
+    const positions = this.joinLists([points, ...lines, ...this.joinLists(polygons)]);
+    if (positions.length === 0) return null;
+    if (options.geodesic) {
+      return this.computeBbox(positions.map((position) => position.slice(0, 2)));
+    }
+
+    return positions.reduce(
+      ([minX, minY, maxX, maxY], [x, y]) => [
+        Math.min(minX, x),
+        Math.min(minY, y),
+        Math.max(maxX, x),
+        Math.max(maxY, y),
+      ],
+      [Infinity, Infinity, -Infinity, -Infinity]
+    );
+  };
+
+  /***************************************
+   * Test Whether One Geometry Contains Another
+   * True when no point of `other` lies outside `geometry` and at least one lies
+   * in its interior, as in the OGC definition. Points of `other` are sampled at
+   * its vertices and edge midpoints, and its edges are checked for crossing the
+   * boundary of `geometry`. Coordinates are treated as planar in both modes.
+   *
+   * @param {Object|Object[]} geometry - The containing geometry; see `length`.
+   * @param {Object|Object[]} other - The contained geometry.
+   * @returns {boolean} - True if `geometry` contains `other`.
+   ****************************************/
+  GeoWKTer.prototype.contains = function (geometry, other) {
+    const container = this.geometryParts(geometry);
+    const { points, lines, polygons } = this.geometryParts(other);
+    const paths = this.joinLists([lines, ...polygons]);
+
+    // Sample every vertex and edge midpoint of the contained geometry
+    const samples = this.joinLists([points, ...paths]);
+    paths.forEach((path) => {
+      for (let i = 1; i < path.length; i++) {
+        samples.push([(path[i - 1][0] + path[i][0]) / 2, (path[i - 1][1] + path[i][1]) / 2]);
+      }
+    });
+    if (samples.length === 0) return false;
+
+    const locations = samples.map((point) => this.locateInParts(point, container));
+    if (locations.includes("exterior") || !locations.includes("interior")) return false;
+
+    // An edge may still leave a polygon between two sampled points that are inside it
+    const boundary = this.joinLists(container.polygons);
+    if (paths.some((path) => boundary.some((ring) => this.ringsCross(path, ring)))) return false;
+
+    // A hole of the container inside a contained polygon is not covered
+    return !container.polygons.some((polygon) =>
+      polygon.slice(1).some((hole) => polygons.some((rings) => this.ringInsideRing(hole, rings[0])))
+    );
+  };
+
+  /***************************************
+   * Test Whether Two Geometries Intersect
+   * True when they share any point: a point of one on or inside the other, a
+   * pair of crossing or touching edges, or one polygon entirely inside another.
+   * Coordinates are treated as planar in both modes.
+   *
+   * @param {Object|Object[]} geometry - A geometry; see `length`.
+   * @param {Object|Object[]} other - Another geometry.
+   * @returns {boolean} - True if they intersect.
+   ****************************************/
+  GeoWKTer.prototype.intersects = function (geometry, other) {
+    const first = this.geometryParts(geometry);
+    const second = this.geometryParts(other);
+
+    // One geometry's vertices in or on the other covers points and nested parts
+    const anyInside = (a, b) => {
+      const vertices = this.joinLists([a.points, ...a.lines, ...a.polygons.map((rings) => rings[0])]);
+      return vertices.some((point) => this.locateInParts(point, b) !== "exterior");
+    };
+    if (anyInside(first, second) || anyInside(second, first)) return true;
+
+    // Otherwise the edges must meet
+    const edgesOf = (parts) => this.joinLists([parts.lines, ...parts.polygons]);
+    return edgesOf(first).some((path) =>
+      edgesOf(second).some((otherPath) => {
+        for (let i = 1; i < path.length; i++) {
+          for (let j = 1; j < otherPath.length; j++) {
+            if (this.segmentIntersection(path[i - 1], path[i], otherPath[j - 1], otherPath[j])) return true;
+          }
+        }
+        return false;
+      })
+    );
+  };
+
+  /***************************************
+   * Measure the Distance Between Two Geometries
+   * The shortest distance between any two of their points; 0 when they intersect.
+   * In geodesic mode, the closest points are found in a local equirectangular
+   * projection and the distance between them is then measured on the ellipsoid,
+   * which is exact for points and accurate for nearby features.
+   *
+   * @param {Object|Object[]} geometry - A geometry; see `length`.
+   * @param {Object|Object[]} other - Another geometry.
+   * @param {Object} [options] - See `length`; geodesic distances are in metres.
+   * @returns {number} - The distance, or NaN if either geometry is EMPTY.
+   ****************************************/
+  GeoWKTer.prototype.distance = function (geometry, other, options = {}) {
+    const first = this.geometryParts(geometry);
+    const second = this.geometryParts(other);
+    if (this.intersects(geometry, other)) return 0;
+
+    // Treat every part as a list of segments; a lone point is a segment of no length
+    const segmentsOf = ({ points, lines, polygons }) =>
+      this.joinLists([
+        points.map((point) => [point, point]),
+        ...this.joinLists([lines, ...polygons]).map((path) =>
+          path.length === 1 ? [[path[0], path[0]]] : path.slice(1).map((end, i) => [path[i], end])
+        ),
+      ]);
+    const firstSegments = segmentsOf(first);
+    const secondSegments = segmentsOf(second);
+    if (firstSegments.length === 0 || secondSegments.length === 0) return NaN;
+
+    // Scale longitudes by the cosine of the mean latitude so that degrees compare evenly
+    let scale = 1;
+    if (options.geodesic) {
+      const latitudes = firstSegments.concat(secondSegments).map(([start]) => start[1]);
+      scale = Math.cos((latitudes.reduce((sum, lat) => sum + lat, 0) / latitudes.length) * (Math.PI / 180));
+    }
+    const project = (point) => [point[0] * scale, point[1]];
+    const unproject = (point) => [point[0] / scale, point[1]];
+
+    // Closest point to `point` on the segment from `a` to `b`
+    const closest = (point, a, b) => {
+      const dx = b[0] - a[0];
+      const dy = b[1] - a[1];
+      const lengthSquared = dx * dx + dy * dy;
+      const projection = lengthSquared ? ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / lengthSquared : 0;
+      const t = Math.max(0, Math.min(1, projection));
+      return [a[0] + t * dx, a[1] + t * dy];
+    };
+
+    // Segments that do not intersect are closest at an endpoint of one of them
+    let best = { distance: Infinity };
+    firstSegments.forEach((segment) => {
+      const [a, b] = segment.map(project);
+      secondSegments.forEach((otherSegment) => {
+        const [c, d] = otherSegment.map(project);
+        [
+          [a, closest(a, c, d)],
+          [b, closest(b, c, d)],
+          [closest(c, a, b), c],
+          [closest(d, a, b), d],
+        ].forEach(([p, q]) => {
+          const distance = Math.hypot(q[0] - p[0], q[1] - p[1]);
+          if (distance < best.distance) best = { distance, p, q };
+        });
+      });
+    });
+
+    return options.geodesic ? this.geodesicDistance(unproject(best.p), unproject(best.q)) : best.distance;
+  };
+
+  /***************************************
+   * Split a Geometry into Points, Lines and Polygons
+   * @param {Object|Object[]} geometry - An internal record (or member), a GeoJSON geometry,
+   *                                     Feature or FeatureCollection, or an array of any of these.
+   * @returns {Object} - `{points, lines, polygons}`: arrays of positions, of position arrays
+   *                     and of ring arrays, from every part and collection member. EMPTY
+   *                     parts are left out.
+   ****************************************/
+  GeoWKTer.prototype.geometryParts = function (geometry) {
+    const parts = { points: [], lines: [], polygons: [] };
+
+    const collect = (item) => {
+      if (Array.isArray(item)) {
+        item.forEach(collect);
+        return;
+      }
+      if (!item || typeof item.type !== "string") {
+        throw new Error("Expected a geometry");
+      }
+
+      // GeoJSON types are mixed case; internal types are upper case
+      if (item.type !== item.type.toUpperCase()) {
+        collect(this.fromGeoJSON(item));
+        return;
+      }
+
+      const data = item.components || item.coordinates || item.geometries;
+      switch (this.baseType(item.type)) {
+        case "POINT":
+          if (data.length) parts.points.push(data);
+          break;
+        case "MULTIPOINT":
+          data.forEach((point) => point.length && parts.points.push(point));
+          break;
+        case "LINESTRING":
+          if (data.length) parts.lines.push(data);
+          break;
+        case "MULTILINESTRING":
+          data.forEach((line) => line.length && parts.lines.push(line));
+          break;
+        case "POLYGON":
+        case "TRIANGLE":
+          if (data.length) parts.polygons.push(data);
+          break;
+        case "MULTIPOLYGON":
+        case "TIN":
+        case "POLYHEDRALSURFACE":
+          data.forEach((polygon) => polygon.length && parts.polygons.push(polygon));
+          break;
+        case "GEOMETRYCOLLECTION":
+          data.forEach(collect);
+          break;
+        default:
+          throw new Error(`Unsupported geometry type: ${item.type}`);
+      }
+    };
+
+    collect(geometry);
+    return parts;
+  };
+
+  /***************************************
+   * Locate a Point Relative to a Geometry's Parts
+   * Uses the OGC rules: a line's boundary is its endpoints (none, if it is
+   * closed), and a polygon's boundary is its rings.
+   *
+   * @param {number[]} point - The point.
+   * @param {Object} parts - The geometry's parts, from `geometryParts`.
+   * @returns {string} - "interior", "boundary" or "exterior".
+   ****************************************/
+  GeoWKTer.prototype.locateInParts = function (point, parts) {
+    const same = (a, b) => a[0] === b[0] && a[1] === b[1];
+    const onSegment = (a, b) =>
+      (b[0] - a[0]) * (point[1] - a[1]) === (b[1] - a[1]) * (point[0] - a[0]) &&
+      Math.min(a[0], b[0]) <= point[0] &&
+      point[0] <= Math.max(a[0], b[0]) &&
+      Math.min(a[1], b[1]) <= point[1] &&
+      point[1] <= Math.max(a[1], b[1]);
+    const locations = [];
+
+    parts.points.forEach((vertex) => same(point, vertex) && locations.push("interior"));
+
+    parts.lines.forEach((line) => {
+      const closed = line.length > 1 && same(line[0], line[line.length - 1]);
+      if (!closed && (same(point, line[0]) || same(point, line[line.length - 1]))) {
+        locations.push("boundary");
+      } else if (line.some((vertex, i) => same(point, vertex) || (i > 0 && onSegment(line[i - 1], vertex)))) {
+        locations.push("interior"); // On the line, away from its ends
+      }
+    });
+
+    parts.polygons.forEach(([shell, ...holes]) => {
+      const inShell = this.locatePoint(point, shell);
+      const inHoles = holes.map((hole) => this.locatePoint(point, hole));
+      if (inShell === "boundary" || inHoles.includes("boundary")) {
+        locations.push("boundary");
+      } else if (inShell === "inside" && !inHoles.includes("inside")) {
+        locations.push("interior");
+      }
+    });
+
+    if (locations.includes("interior")) return "interior";
+    return locations.length ? "boundary" : "exterior";
+  };
+
+  /***************************************
+   * Measure the Geodesic Distance Between Two Points
+   * Uses Vincenty's inverse formula on the WGS 84 ellipsoid, accurate to about
+   * half a millimetre. For nearly antipodal points, where the formula fails to
+   * converge, the great-circle distance on the mean-radius sphere is returned.
+   *
+   * @param {number[]} from - The first point, as `[longitude, latitude]` in degrees.
+   * @param {number[]} to - The second point.
+   * @returns {number} - The distance in metres.
+   ****************************************/
+  GeoWKTer.prototype.geodesicDistance = function (from, to) {
+    const radians = Math.PI / 180;
+    const a = 6378137;
+    const f = 1 / 298.257223563;
+    const b = a * (1 - f);
+
+    const L = (to[0] - from[0]) * radians;
+    const U1 = Math.atan((1 - f) * Math.tan(from[1] * radians));
+    const U2 = Math.atan((1 - f) * Math.tan(to[1] * radians));
+    const sinU1 = Math.sin(U1);
+    const cosU1 = Math.cos(U1);
+    const sinU2 = Math.sin(U2);
+    const cosU2 = Math.cos(U2);
+
+    let lambda = L;
+    for (let iteration = 0; iteration < 200; iteration++) {
+      const sinLambda = Math.sin(lambda);
+      const cosLambda = Math.cos(lambda);
+      const sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+      if (sinSigma === 0) return 0; // Coincident points
+      const cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+      const sigma = Math.atan2(sinSigma, cosSigma);
+      const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+      const cosSqAlpha = 1 - sinAlpha * sinAlpha;
+      const cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - (2 * sinU1 * sinU2) / cosSqAlpha : 0; // Equatorial line
+      const C = (f / 16) * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+      const previous = lambda;
+      lambda =
+        L +
+        (1 - C) *
+          f *
+          sinAlpha *
+          (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+      if (Math.abs(lambda - previous) < 1e-12) {
+        const uSq = (cosSqAlpha * (a * a - b * b)) / (b * b);
+        const A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+        const B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+        const deltaSigma =
+          B *
+          sinSigma *
+          (cos2SigmaM +
+            (B / 4) *
+              (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+                (B / 6) * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+        return b * A * (sigma - deltaSigma);
+      }
+    }
+
+    // Nearly antipodal: fall back to the haversine distance
+    const dLat = (to[1] - from[1]) * radians;
+    const h =
+      Math.sin(dLat / 2) ** 2 + Math.cos(from[1] * radians) * Math.cos(to[1] * radians) * Math.sin(L / 2) ** 2;
+    return 2 * 6371008.8 * Math.asin(Math.min(1, Math.sqrt(h)));
+  };
+
+  /***************************************
+   * Measure the Geodesic Area of a Ring
+   * Maps latitudes to authalic latitudes and sums the spherical excess of each
+   * edge's triangle with the pole on the WGS 84 authalic sphere (see `area`).
+   *
+   * @param {number[][]} ring - A closed ring of `[longitude, latitude]` positions in degrees.
+   * @returns {number} - The signed area in square metres: positive when the ring runs
+   *                     counter-clockwise.
+   ****************************************/
+  GeoWKTer.prototype.geodesicRingArea = function (ring) {
+    const radians = Math.PI / 180;
+    const a = 6378137;
+    const f = 1 / 298.257223563;
+    const e2 = f * (2 - f);
+    const e = Math.sqrt(e2);
+
+    // q(φ) of the authalic latitude formula; its value at the pole fixes the sphere's radius
+    const q = (sinPhi) =>
+      (1 - e2) *
+      (sinPhi / (1 - e2 * sinPhi * sinPhi) - (1 / (2 * e)) * Math.log((1 - e * sinPhi) / (1 + e * sinPhi)));
+    const qPole = q(1);
+    const radiusSquared = (a * a * qPole) / 2;
+    const halfTanAuthalic = (lat) => Math.tan(Math.asin(q(Math.sin(lat * radians)) / qPole) / 2);
+
+    let excess = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      const t1 = halfTanAuthalic(ring[i][1]);
+      const t2 = halfTanAuthalic(ring[i + 1][1]);
+      let dLambda = (ring[i + 1][0] - ring[i][0]) * radians;
+      dLambda = Math.atan2(Math.sin(dLambda), Math.cos(dLambda)); // The shorter way round
+      excess += 2 * Math.atan2(Math.tan(dLambda / 2) * (t1 + t2), 1 + t1 * t2);
+    }
+    return excess * radiusSquared;
+  };
+
+  /***************************************
+   * WKTParseError Constructor Function
+   * The error thrown when WKT text cannot be parsed. Besides the message, it
+   * records where the problem is, so a user can be pointed at the exact typo
+   * in a pasted geometry.
+   *
+   * @param {string} message - Description of the problem, including its position.
+   * @param {Object} details - Where the problem was found:
+   *                           - offset: zero-based character offset in the input.
+   *                           - line: one-based line number.
+   *                           - column: one-based column number.
+   *                           - expected: description of the token that was expected.
+   *                           - found: the text of the token that was found instead.
+   *                           - reason: the message without its position.
+   ****************************************/
+  function WKTParseError(message, details) {
+    this.name = "WKTParseError";
+    this.message = message;
+    this.reason = details.reason || message;
+    this.offset = details.offset;
+    this.line = details.line;
+    this.column = details.column;
+    this.expected = details.expected;
+    this.found = details.found;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, WKTParseError);
+    } else {
+      this.stack = new Error(message).stack;
+    }
+  }
+  WKTParseError.prototype = Object.create(Error.prototype);
+  WKTParseError.prototype.constructor = WKTParseError;
+
+  /***************************************
+   * GeometryValidationError Constructor Function
+   * The error thrown by strict reading when a geometry parses but is invalid,
+   * such as a polygon whose ring is not closed.
+   *
+   * @param {Object[]} issues - The error-severity issues found by `validate`.
+   ****************************************/
+  function GeometryValidationError(issues) {
+    const [first] = issues;
+    const where = ["member", "part", "ring", "vertex"]
+      .filter((key) => first[key] !== undefined)
+      .map((key) => `${key} ${first[key]}`)
+      .join(", ");
+    const more = issues.length > 1 ? ` (and ${issues.length - 1} more)` : "";
+
+    this.name = "GeometryValidationError";
+    this.message = `Invalid geometry: ${first.reason}${where ? ` at ${where}` : ""}${more}`;
+    this.issues = issues;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, GeometryValidationError);
+    } else {
+      this.stack = new Error(this.message).stack;
+    }
+  }
+  GeometryValidationError.prototype = Object.create(Error.prototype);
+  GeometryValidationError.prototype.constructor = GeometryValidationError;
+
+  /***************************************
+   * WKTTokenizer Constructor Function
+   * Splits WKT text into tokens in a single pass, one token at a time, while
+   * tracking the line and column of each. Token types are:
+   * - "number": a coordinate or SRID value, including signs, leading or trailing
+   *   decimal points and scientific notation (e.g. -1.5e-3).
+   * - "word": a geometry type or keyword such as POINT, Z or SRID.
+   * - "(", ")", ",", ";", "=": punctuation.
+   * - "eof": the end of the input.
+   *
+   * @param {string} text - The WKT text to tokenize.
+   ****************************************/
+  function WKTTokenizer(text) {
+    this.text = text;
+    this.offset = 0; // Offset of the next unread character
+    this.line = 1; // Line of the next unread character
+    this.lineStart = 0; // Offset of the first character on the current line
+    this.current = null; // Token returned by `peek` but not yet consumed
+  }
+
+  /***************************************
+   * Look at the Next Token Without Consuming It
+   * @returns {Object} - The token, with `type`, `value`, `offset`, `line` and `column`.
+   ****************************************/
+  WKTTokenizer.prototype.peek = function () {
+    if (!this.current) {
+      this.current = this.scan();
+    }
+    return this.current;
+  };
+
+  /***************************************
+   * Consume and Return the Next Token
+   * @returns {Object} - The token, as for `peek`.
+   ****************************************/
+  WKTTokenizer.prototype.next = function () {
+    const token = this.peek();
+    this.current = null;
+    return token;
+  };
+
+  /***************************************
+   * Consume the Next Token if It Has the Given Type
+   * @param {string} type - The token type to accept.
+   * @returns {Object|null} - The consumed token, or null if the next token differs.
+   ****************************************/
+  WKTTokenizer.prototype.accept = function (type) {
+    return this.peek().type === type ? this.next() : null;
+  };
+
+  /***************************************
+   * Consume the Next Token, Which Must Have the Given Type
+   * @param {string} type - The required token type.
+   * @param {string} [expected] - Description of the token for the error message.
+   * @returns {Object} - The consumed token.
+   * @throws {WKTParseError} - Throws if the next token has a different type.
+   ****************************************/
+  WKTTokenizer.prototype.expect = function (type, expected) {
+    if (this.peek().type !== type) {
+      throw this.error(this.peek(), expected || `"${type}"`);
+    }
+    return this.next();
+  };
+
+  /***************************************
+   * Create an Error for an Unexpected Token
+   * @param {Object} token - The token that was found.
+   * @param {string} expected - Description of what was expected.
+   * @param {string} [message] - A message to use instead of "Expected ... but found ...".
+   * @returns {WKTParseError} - The error, ready to throw.
+   ****************************************/
+  WKTTokenizer.prototype.error = function (token, expected, message) {
+    const found = token.type === "eof" ? "end of input" : `"${token.value}"`;
+    const text = message || `Expected ${expected} but found ${found}`;
+    return new WKTParseError(`${text} at line ${token.line}, column ${token.column}`, {
+      offset: token.offset,
+      line: token.line,
+      column: token.column,
+      expected,
+      found: token.value,
+      reason: text,
+    });
+  };
+
+  /***************************************
+   * Scan the Next Token from the Text
+   * @returns {Object} - The token, as for `peek`.
+   * @throws {WKTParseError} - Throws on a character that cannot start a token, or
+   *                           on a malformed number such as '1.2.3'.
+   ****************************************/
+  WKTTokenizer.prototype.scan = function () {
+    const text = this.text;
+
+    // Skip whitespace, keeping track of line breaks (\n, \r\n or \r)
+    while (this.offset < text.length && /\s/.test(text[this.offset])) {
+      const char = text[this.offset++];
+      if (char === "\n" || (char === "\r" && text[this.offset] !== "\n")) {
+        this.line++;
+        this.lineStart = this.offset;
+      }
+    }
+
+    const token = {
+      type: "eof",
+      value: "",
+      offset: this.offset,
+      line: this.line,
+      column: this.offset - this.lineStart + 1,
+    };
+    if (this.offset >= text.length) {
+      return token;
+    }
+
+    const pattern = /([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)|([A-Za-z_]\w*)|([(),;=])/y;
+    pattern.lastIndex = this.offset;
+    const match = pattern.exec(text);
+    if (!match) {
+      token.value = text[this.offset];
+      throw this.error(token, "a number, word or punctuation", `Unexpected character "${token.value}"`);
+    }
+
+    token.value = match[0];
+    token.type = match[1] !== undefined ? "number" : match[2] !== undefined ? "word" : match[0];
+    this.offset += match[0].length;
+
+    // A number running straight into more digits, letters or a point is malformed
+    if (token.type === "number" && /[\w.]/.test(text[this.offset] || "")) {
+      token.value += /^[\w.]+/.exec(text.slice(this.offset, this.offset + 32))[0];
+      throw this.error(token, "a number", `Invalid number "${token.value}"`);
+    }
+    return token;
+  };
+
+  /***************************************
+   * WKTRecordSplitter Constructor Function
+   * Splits text holding many WKT records into one string per record, using
+   * parenthesis depth rather than naive line breaks, so a geometry written
+   * over several lines stays together. Text may be pushed in chunks; records
+   * are returned as soon as they are complete, each as one string, so the
+   * chunks of a long record are held until it ends. A record ends at:
+   * - a semicolon, except the one ending an EWKT 'SRID=n;' prefix;
+   * - a line break at depth 0, once the record ends with ')' or EMPTY;
+   * - a blank line, at any depth, so one unbalanced record cannot swallow
+   *   the rest of the input.
+   ****************************************/
+  function WKTRecordSplitter() {
+    this.depth = 0; // Parenthesis depth within the current record
+    this.parts = []; // Text of the current record from earlier chunks
+    this.start = null; // Position of the current record's first non-blank character
+    this.head = ""; // First non-blank characters of the current record, to spot an SRID prefix
+    this.tail = ""; // Last non-blank characters of the current record, to spot its end
+    this.lineBlank = true; // True while the current line holds only whitespace
+    this.previous = ""; // Last character seen, to treat '\r\n' as one line break
+    this.offset = 0; // Position of the next character in the whole input
+    this.line = 1;
+    this.column = 1;
+  }
+
+  /***************************************
+   * Add a Chunk of Text
+   * @param {string} chunk - The next piece of the input.
+   * @returns {Object[]} - The records completed by this chunk, each with its
+   *                       `text` and the `offset`, `line` and `column` where it starts.
+   ****************************************/
+  WKTRecordSplitter.prototype.push = function (chunk) {
+    const records = [];
+    let from = 0; // Start of the current record's text within this chunk
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      const position = { offset: this.offset, line: this.line, column: this.column };
+      const lineBreak = char === "\r" || (char === "\n" && this.previous !== "\r");
+      let boundary = false;
+
+      if (lineBreak) {
+        boundary =
+          this.start !== null && (this.lineBlank || (this.depth <= 0 && /(\)|EMPTY)$/i.test(this.tail)));
+        this.lineBlank = true;
+      } else if (char === ";") {
+        boundary = this.start !== null && !/^SRID=\d+$/i.test(this.head);
+      } else if (!/\s/.test(char)) {
+        if (this.start === null) {
+          this.start = position;
+          from = i;
+        }
+        if (char === "(") this.depth++;
+        if (char === ")") this.depth--;
+        if (this.head.length < 24) this.head += char;
+        this.tail = (this.tail + char).slice(-5);
+        this.lineBlank = false;
+      }
+
+      if (boundary) {
+        records.push(this.finish(chunk.slice(from, i)));
+        from = i + 1;
+      } else if (this.start === null) {
+        from = i + 1; // Skip blank text between records
+      }
+
+      // Advance the position past this character
+      this.offset++;
+      if (lineBreak) {
+        this.line++;
+        this.column = 1;
+      } else if (char !== "\n") {
+        this.column++;
+      }
+      this.previous = char;
+    }
+
+    if (this.start !== null) {
+      this.parts.push(chunk.slice(from));
+    }
+    return records;
+  };
+
+  /***************************************
+   * Finish the Input
+   * @returns {Object[]} - The last record, if the input did not end with a separator.
+   ****************************************/
+  WKTRecordSplitter.prototype.end = function () {
+    return this.start !== null ? [this.finish("")] : [];
+  };
+
+  /***************************************
+   * Complete the Current Record and Reset for the Next
+   * @param {string} rest - The record's text from the current chunk.
+   * @returns {Object} - The record's `text`, `offset`, `line` and `column`.
+   ****************************************/
+  WKTRecordSplitter.prototype.finish = function (rest) {
+    this.parts.push(rest);
+    const record = Object.assign({ text: this.parts.join("").trimEnd() }, this.start);
+    this.depth = 0;
+    this.parts = [];
+    this.start = null;
+    this.head = "";
+    this.tail = "";
+    return record;
+  };
+
+  /***************************************
+   * Convert WKT to GeoJSON
+   * This function runs the recursive-descent parser over a WKT or EWKT string.
+   * A dimension keyword after the type (`POINT Z`, `LINESTRING M`, `POLYGON ZM`)
+   * is recognised; without one the dimension is taken from the first vertex.
+   * An EWKT `SRID=n;` prefix is accepted and returned as `srid`. Type names and
+   * keywords are case-insensitive, and any whitespace may separate tokens.
+   *
+   * Grammar (following the OGC Simple Features BNF):
+   *   wkt               := [ "SRID" "=" integer ";" ] geometry end-of-input
+   *   geometry          := type [ "Z" | "M" | "ZM" ] text
+   *   point text        := "EMPTY" | "(" position ")"
+   *   linestring text   := "EMPTY" | "(" position { "," position } ")"
+   *   polygon text      := "EMPTY" | "(" linestring text { "," linestring text } ")"
+   *   multipoint text   := "EMPTY" | "(" ( point text | position ) { "," ... } ")"
+   *   multi* text       := "EMPTY" | "(" member text { "," member text } ")"
+   *   triangle text     := polygon text, with one closed ring of four positions
+   *   tin text          := "EMPTY" | "(" triangle text { "," triangle text } ")"
+   *   polyhedralsurface text := "EMPTY" | "(" polygon text { "," polygon text } ")"
+   *   collection text   := "EMPTY" | "(" geometry { "," geometry } ")"
+   *   circularstring text := linestring text, with an odd number of positions
+   *   curve member      := linestring text | type [ "Z" | "M" | "ZM" ] text
+   *   curve text        := "EMPTY" | "(" curve member { "," curve member } ")"
+   *                        (for COMPOUNDCURVE, CURVEPOLYGON, MULTICURVE and MULTISURFACE;
+   *                        MULTISURFACE members are bare polygon text or tagged)
+   *   position          := number number [ number [ number ] ]
+   * An EMPTY geometry has an empty coordinates (or geometries) array, and a
+   * GEOMETRYCOLLECTION may contain further collections to any depth.
+   *
+   * @param {string} wkt - The WKT or EWKT string.
+   * @param {Object} [options] - Parsing options, as for `read`.
+   * @returns {Object} - GeoJSON object, with the `dimension` and optional `measures`
+   *                     produced by `applyDimension`, and the optional `srid`. With
+   *                     `options.repair`, it also has the `warnings` from `repairWKT`.
+   * @throws {WKTParseError} - Throws if the WKT is invalid or unsupported, or if a
+   *                           vertex does not match the geometry's dimension.
+   ****************************************/
+  GeoWKTer.prototype.wktToGeoJSON = function (wkt, options = {}) {
+    if (options.repair) {
+      const repaired = this.repairWKT(wkt);
+      const settings = Object.assign({}, options, { repair: false });
+      let geoJSON;
+      try {
+        geoJSON = this.wktToGeoJSON(repaired.wkt, settings);
+      } catch (error) {
+        // Report a problem repair could not fix at its place in the original text
+        if (repaired.warnings.length) this.wktToGeoJSON(wkt, settings);
+        throw error;
+      }
+      geoJSON.warnings = repaired.warnings;
+      return geoJSON;
+    }
+
+    const tokenizer = new WKTTokenizer(wkt);
+
+    // Read an EWKT SRID prefix, e.g. 'SRID=2234;POLYGON(...)'
+    let srid;
+    if (/^SRID$/i.test(tokenizer.peek().value)) {
+      tokenizer.next();
+      tokenizer.expect("=");
+      const sridToken = tokenizer.expect("number", "an SRID");
+      if (!/^\d+$/.test(sridToken.value)) {
+        throw tokenizer.error(sridToken, "an integer SRID");
+      }
+      tokenizer.expect(";");
+      srid = Number(sridToken.value);
+    }
+
+    const geoJSON = this.readGeometryTaggedText(tokenizer, options);
+    tokenizer.expect("eof", "end of input");
+
+    if (srid !== undefined) {
+      geoJSON.srid = srid;
+    }
+    return geoJSON;
+  };
+
+  /***************************************
+   * Register a Geometry Type on This Instance
+   * Like `GeoWKTer.registerType`, but the type, or the change to an existing
+   * one, applies to this instance only.
+   *
+   * @param {string} name - The WKT type name, matched case-insensitively.
+   * @param {Object} definition - The type's `parse`, `toGeoJSON` and `write` handlers.
+   * @throws {Error} - Throws if the name or the definition is not supported.
+   ****************************************/
+  GeoWKTer.prototype.registerType = function (name, definition) {
+    defineType(this.geometryTypes, name, definition, (type) => this.geometryTypes[type] || geometryTypes[type]);
+  };
+
+  /***************************************
+   * Look Up a Geometry Type
+   * @param {string} type - The WKT type name, in any case.
+   * @returns {Object|undefined} - The type's definition, from this instance's
+   *                               registrations or else the shared registry,
+   *                               with the handlers it leaves out taken from
+   *                               its `baseType`.
+   ****************************************/
+  GeoWKTer.prototype.geometryType = function (type) {
+    const name = type.toUpperCase();
+    const definition = this.geometryTypes[name] || geometryTypes[name];
+    if (!definition || definition.baseType === undefined || definition.baseType === name) {
+      return definition;
+    }
+    return Object.assign({}, this.geometryType(definition.baseType), definition);
+  };
+
+  /***************************************
+   * Find the Base Type of a Geometry Type
+   * Validation, WKB, KML, GPX, Esri JSON and the measurements handle each
+   * geometry as its base type.
+   *
+   * @param {string} type - The WKT type name, in any case.
+   * @returns {string} - The registered `baseType` of the type, or else the
+   *                     upper-case type name, which those methods reject.
+   ****************************************/
+  GeoWKTer.prototype.baseType = function (type) {
+    const definition = this.geometryType(type);
+    return definition && definition.baseType !== undefined ? definition.baseType : type.toUpperCase();
+  };
+
+  /***************************************
+   * Find the Geometry Type of a WKB Code
+   * @param {number} code - The WKB geometry type code, without dimension flags.
+   * @returns {string|undefined} - The type registered with the code, preferring
+   *                               this instance's registrations.
+   ****************************************/
+  GeoWKTer.prototype.wkbType = function (code) {
+    const find = (registry) => Object.keys(registry).find((type) => registry[type].wkbCode === code);
+    return find(this.geometryTypes) || find(geometryTypes);
+  };
+
+  /***************************************
+   * List the Registered Geometry Types
+   * @returns {string[]} - Every WKT type name this instance reads.
+   ****************************************/
+  GeoWKTer.prototype.geometryTypeNames = function () {
+    return Object.keys(Object.assign({}, geometryTypes, this.geometryTypes));
+  };
+
+  /***************************************
+   * Parse a Geometry Tagged Text
+   * Reads a geometry type, its optional dimension keyword and its coordinate
+   * text from the tokenizer.
+   *
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Object} [options] - Parsing options, as for `read`.
+   * @param {string} [inherited] - The dimension keyword of an enclosing GEOMETRYCOLLECTION.
+   * @returns {Object} - A `{type, coordinates, dimension}` object (with optional
+   *                     `measures`), or `{type, geometries, dimension}` for a collection.
+   *                     A curve type is returned as its linear type (see `linearizeCurve`)
+   *                     with its definition, from `readCurveText`, as `curve`. The type's
+   *                     `parse` function is looked up with `geometryType`.
+   * @throws {WKTParseError} - Throws on unsupported types, syntax errors and
+   *                           dimension mismatches.
+   ****************************************/
+  GeoWKTer.prototype.readGeometryTaggedText = function (tokenizer, options = {}, inherited) {
+    const sizes = { Z: 3, M: 3, ZM: 4 };
+
+    const typeToken = tokenizer.expect("word", "a geometry type");
+    const type = typeToken.value.toUpperCase();
+    const definition = this.geometryType(type);
+    if (!definition) {
+      throw tokenizer.error(typeToken, "a geometry type", `Unsupported WKT type: ${type}`);
+    }
+
+    // Optional dimension keyword; members of a collection inherit the collection's
+    let declared = inherited || undefined;
+    const dimensionToken = tokenizer.peek();
+    if (dimensionToken.type === "word" && /^(ZM|Z|M)$/i.test(dimensionToken.value)) {
+      tokenizer.next();
+      declared = dimensionToken.value.toUpperCase();
+      if (inherited && declared !== inherited) {
+        throw tokenizer.error(
+          dimensionToken,
+          inherited,
+          `${type} ${declared} does not match GEOMETRYCOLLECTION ${inherited}`
+        );
+      }
+    }
+
+    // The context carries the vertex size, fixed by the keyword or the first vertex
+    const context = { type, declared, size: declared ? sizes[declared] : undefined, options };
+    const result = definition.parse.call(this, tokenizer, context);
+    if (Array.isArray(result)) {
+      return Object.assign({ type }, this.applyDimension(type, result, declared, options));
+    }
+    if (result.geometries) {
+      const dimension = this.collectionDimension(result.geometries, declared);
+      return { type: "GEOMETRYCOLLECTION", geometries: result.geometries, dimension };
+    }
+
+    // A type read as another type, such as a curve read as its linear type
+    const { type: readAs, coordinates, ...extra } = result;
+    return Object.assign(
+      { type: (readAs || type).toUpperCase() },
+      this.applyDimension(type, coordinates, declared, options),
+      extra
+    );
+  };
+
+  /***************************************
+   * Check and Apply a Coordinate Dimension
+   * Every vertex of a geometry must carry the number of values its dimension
+   * requires: 2 for XY, 3 for Z or M, 4 for ZM. When no dimension keyword was
+   * given, the first vertex decides (3 values are read as Z, 4 as ZM).
+   * Z values stay in place as the third ordinate. M values are removed from
+   * the coordinates and, when `options.measures` is "property", returned in a
+   * `measures` array that mirrors the coordinate nesting.
+   *
+   * @param {string} type - The WKT geometry type, used in error messages.
+   * @param {Array} coordinates - The parsed coordinates.
+   * @param {string} [declared] - The dimension keyword: "Z", "M" or "ZM".
+   * @param {Object} [options] - Parsing options, as for `read`.
+   * @returns {Object} - An object with `dimension`, `coordinates` and optional `measures`.
+   * @throws {Error} - Throws if a vertex has the wrong number of values.
+   ****************************************/
+  GeoWKTer.prototype.applyDimension = function (type, coordinates, declared, options = {}) {
+    const sizes = { Z: 3, M: 3, ZM: 4 };
+    const inferred = { 2: "XY", 3: "XYZ", 4: "XYZM" };
+    const label = declared ? `${type} ${declared}` : type;
+    let size = declared ? sizes[declared] : undefined;
+
+    // Check every vertex against the declared (or first) vertex size
+    this.mapPositions(coordinates, (position) => {
+      if (size === undefined) {
+        size = position.length;
+        if (!inferred[size]) {
+          throw new Error(`${label} vertex (${position.join(" ")}) must have 2 to 4 values`);
+        }
+      }
+      if (position.length !== size) {
+        throw new Error(`${label} vertex (${position.join(" ")}) has ${position.length} values, expected ${size}`);
+      }
+      return position;
+    });
+
+    const dimension = declared ? `XY${declared}` : inferred[size] || "XY";
+    if (dimension !== "XYM" && dimension !== "XYZM") {
+      return { coordinates, dimension };
+    }
+
+    // Move the trailing M value out of each vertex
+    const result = {
+      coordinates: this.mapPositions(coordinates, (position) => position.slice(0, -1)),
+      dimension,
+    };
+    if (options.measures === "property") {
+      result.measures = this.mapPositions(coordinates, (position) => position[position.length - 1]);
+    }
+    return result;
+  };
+
+  /***************************************
+   * Determine the Dimension of a GeometryCollection
+   * EMPTY members have no vertices to disagree with, so they are not compared.
+   *
+   * @param {Object[]} geometries - The parsed member geometries.
+   * @param {string} [declared] - The dimension keyword given on the collection.
+   * @returns {string} - The shared dimension of all members.
+   * @throws {Error} - Throws if the members do not all share the same dimension.
+   ****************************************/
+  GeoWKTer.prototype.collectionDimension = function (geometries, declared) {
+    const dimensions = geometries
+      .filter((geometry) => !this.isEmptyGeometry(geometry))
+      .map((geometry) => geometry.dimension);
+    const dimension = declared ? `XY${declared}` : dimensions[0] || "XY";
+    if (dimensions.some((member) => member !== dimension)) {
+      throw new Error(`GEOMETRYCOLLECTION members must all have dimension ${dimension}`);
+    }
+    return dimension;
+  };
+
+  /***************************************
+   * Map Every Position in a Coordinate Array
+   * @param {Array} coordinates - A single position or any nesting of positions.
+   * @param {Function} callback - Called with each position; its return value
+   *                              replaces the position in the result.
+   * @returns {Array} - A new array with the same nesting as `coordinates`.
+   ****************************************/
+  GeoWKTer.prototype.mapPositions = function (coordinates, callback) {
+    if (typeof coordinates[0] === "number") {
+      return callback(coordinates);
+    }
+    return coordinates.map((item) => this.mapPositions(item, callback));
+  };
+
+  /***************************************
+   * Map Every Position of a Geometry
+   * Like `mapPositions`, but for a whole internal record or collection member,
+   * including every member of a (nested) GEOMETRYCOLLECTION and any curve
+   * definition, so that it stays in step with the linearized coordinates.
+   *
+   * @param {Object} geometry - An internal record, or a member with `coordinates` or `geometries`.
+   * @param {Function} callback - Called with each position; returns its replacement.
+   * @returns {Object} - A copy of the geometry with the mapped positions.
+   ****************************************/
+  GeoWKTer.prototype.mapGeometryPositions = function (geometry, callback) {
+    const key = ["components", "coordinates", "geometries"].find((name) => geometry[name] !== undefined);
+    const data = geometry[key];
+    const mapped =
+      geometry.type.toUpperCase() === "GEOMETRYCOLLECTION" || key === "geometries"
+        ? data.map((member) => this.mapGeometryPositions(member, callback))
+        : this.mapPositions(data, callback);
+    const result = Object.assign({}, geometry, { [key]: mapped });
+    if (geometry.curve) {
+      result.curve = this.mapGeometryPositions(geometry.curve, callback);
+    }
+    return result;
+  };
+
+  /***************************************
+   * Parse a Position
+   * Reads the two to four numbers of one vertex, and checks the count against
+   * the geometry's dimension (or against the first vertex when none was declared).
+   *
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Object} context - The geometry's `type`, `declared` keyword and vertex `size`.
+   * @returns {number[]} - The vertex values.
+   * @throws {WKTParseError} - Throws if the vertex has the wrong number of values.
+   ****************************************/
+  GeoWKTer.prototype.readPosition = function (tokenizer, context) {
+    const first = tokenizer.expect("number", "a coordinate");
+    const position = [Number(first.value)];
+    while (tokenizer.peek().type === "number") {
+      position.push(Number(tokenizer.next().value));
+    }
+
+    const label = context.declared ? `${context.type} ${context.declared}` : context.type;
+    if (context.size === undefined) {
+      if (position.length < 2 || position.length > 4) {
+        throw tokenizer.error(first, "2 to 4 coordinate values", `${label} vertex must have 2 to 4 values`);
+      }
+      context.size = position.length;
+    } else if (position.length !== context.size) {
+      throw tokenizer.error(
+        first,
+        `${context.size} coordinate values`,
+        `${label} vertex (${position.join(" ")}) has ${position.length} values, expected ${context.size}`
+      );
+    }
+    return position;
+  };
+
+  /***************************************
+   * Consume an EMPTY Keyword
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @returns {boolean} - True if the next token was EMPTY and has been consumed.
+   ****************************************/
+  GeoWKTer.prototype.acceptEmpty = function (tokenizer) {
+    const token = tokenizer.peek();
+    if (token.type === "word" && token.value.toUpperCase() === "EMPTY") {
+      tokenizer.next();
+      return true;
+    }
+    return false;
+  };
+
+  /***************************************
+   * Parse a Parenthesised, Comma-Separated List
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Function} readItem - Called to read each item.
+   * @returns {Array} - The items read; an empty array for EMPTY.
+   * @throws {WKTParseError} - Throws if the parentheses or commas are malformed.
+   ****************************************/
+  GeoWKTer.prototype.readList = function (tokenizer, readItem) {
+    if (this.acceptEmpty(tokenizer)) return [];
+    tokenizer.expect("(", '"(" or EMPTY');
+    const items = [readItem()];
+    while (tokenizer.accept(",")) {
+      items.push(readItem());
+    }
+    tokenizer.expect(")", '"," or ")"');
+    return items;
+  };
+
+  /***************************************
+   * Parse Point Text
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Object} context - The geometry context, as for `readPosition`.
+   * @returns {number[]} - Array of numbers representing the point; empty for EMPTY.
+   ****************************************/
+  GeoWKTer.prototype.readPointText = function (tokenizer, context) {
+    if (this.acceptEmpty(tokenizer)) return [];
+    tokenizer.expect("(", '"(" or EMPTY');
+    const position = this.readPosition(tokenizer, context);
+    tokenizer.expect(")", '")"');
+    return position;
+  };
+
+  /***************************************
+   * Parse LineString Text
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Object} context - The geometry context, as for `readPosition`.
+   * @returns {number[][]} - Array of arrays representing the linestring.
+   ****************************************/
+  GeoWKTer.prototype.readLineStringText = function (tokenizer, context) {
+    return this.readList(tokenizer, () => this.readPosition(tokenizer, context));
+  };
+
+  /***************************************
+   * Parse Polygon Text
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Object} context - The geometry context, as for `readPosition`.
+   * @returns {number[][][]} - Array of rings representing the polygon; the first
+   *                           ring is the shell and any others are holes.
+   ****************************************/
+  GeoWKTer.prototype.readPolygonText = function (tokenizer, context) {
+    return this.readList(tokenizer, () => this.readLineStringText(tokenizer, context));
+  };
+
+  /***************************************
+   * Parse MultiPoint Text
+   * Both the OGC form with parenthesised points, 'MULTIPOINT((1 2),(3 4))', and
+   * the common bare form, 'MULTIPOINT(1 2,3 4)', are accepted.
+   *
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Object} context - The geometry context, as for `readPosition`.
+   * @returns {number[][]} - Array of points representing the multipoint.
+   ****************************************/
+  GeoWKTer.prototype.readMultiPointText = function (tokenizer, context) {
+    return this.readList(tokenizer, () =>
+      tokenizer.peek().type === "number" ? this.readPosition(tokenizer, context) : this.readPointText(tokenizer, context)
+    );
+  };
+
+  /***************************************
+   * Parse MultiLineString Text
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Object} context - The geometry context, as for `readPosition`.
+   * @returns {number[][][]} - Array of linestrings representing the multilinestring.
+   ****************************************/
+  GeoWKTer.prototype.readMultiLineStringText = function (tokenizer, context) {
+    return this.readList(tokenizer, () => this.readLineStringText(tokenizer, context));
+  };
+
+  /***************************************
+   * Parse MultiPolygon Text
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Object} context - The geometry context, as for `readPosition`.
+   * @returns {number[][][][]} - Array of polygons representing the multipolygon.
+   ****************************************/
+  GeoWKTer.prototype.readMultiPolygonText = function (tokenizer, context) {
+    return this.readList(tokenizer, () => this.readPolygonText(tokenizer, context));
+  };
+
+  /***************************************
+   * Parse Triangle Text
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Object} context - The geometry context, as for `readPosition`.
+   * @returns {number[][][]} - The triangle's single ring, as for a polygon.
+   * @throws {WKTParseError} - Throws if the face is not a triangle (see `faceProblem`).
+   ****************************************/
+  GeoWKTer.prototype.readTriangleText = function (tokenizer, context) {
+    return this.readFaceText(tokenizer, context, true);
+  };
+
+  /***************************************
+   * Parse TIN Text
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Object} context - The geometry context, as for `readPosition`.
+   * @returns {number[][][][]} - The triangles, as for a multipolygon.
+   * @throws {WKTParseError} - Throws if a face is not a triangle (see `faceProblem`).
+   ****************************************/
+  GeoWKTer.prototype.readTINText = function (tokenizer, context) {
+    let face = 0;
+    return this.readList(tokenizer, () => this.readFaceText(tokenizer, context, true, face++));
+  };
+
+  /***************************************
+   * Parse PolyhedralSurface Text
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Object} context - The geometry context, as for `readPosition`.
+   * @returns {number[][][][]} - The polygon faces, as for a multipolygon.
+   * @throws {WKTParseError} - Throws if a face has an open or short ring (see `faceProblem`).
+   ****************************************/
+  GeoWKTer.prototype.readPolyhedralSurfaceText = function (tokenizer, context) {
+    let face = 0;
+    return this.readList(tokenizer, () => this.readFaceText(tokenizer, context, false, face++));
+  };
+
+  /***************************************
+   * Parse and Check One Face of a Surface
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Object} context - The geometry context, as for `readPosition`.
+   * @param {boolean} triangle - True if the face must be a triangle.
+   * @param {number} [face] - The face's index in a TIN or POLYHEDRALSURFACE.
+   * @returns {number[][][]} - The face's rings.
+   * @throws {WKTParseError} - Throws at the start of the face if it fails `faceProblem`.
+   ****************************************/
+  GeoWKTer.prototype.readFaceText = function (tokenizer, context, triangle, face) {
+    const start = tokenizer.peek();
+    const rings = this.readPolygonText(tokenizer, context);
+    const problem = this.faceProblem(rings, triangle);
+    if (problem) {
+      const name = face === undefined ? context.type : `${context.type} face ${face}`;
+      throw tokenizer.error(start, triangle ? "a closed ring of 4 points" : "closed rings", `${name} ${problem}`);
+    }
+    return rings;
+  };
+
+  /***************************************
+   * Check the Rings of a Surface Face
+   * Faces are compared in every ordinate, since the faces of a 3D surface (such
+   * as the walls of a building) may share X and Y while differing in Z.
+   *
+   * @param {number[][][]} rings - The face's rings; none for an EMPTY face.
+   * @param {boolean} triangle - True if the face must be a triangle: a single ring of
+   *                             exactly four points.
+   * @returns {string|null} - What is wrong with the face, or null if it is well formed:
+   *                          every ring must be closed and have at least four points.
+   ****************************************/
+  GeoWKTer.prototype.faceProblem = function (rings, triangle) {
+    if (triangle && rings.length > 1) {
+      return `must have a single ring, but has ${rings.length}`;
+    }
+    for (let index = 0; index < rings.length; index++) {
+      const ring = rings[index];
+      const name = triangle ? "ring" : `ring ${index}`;
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (ring.length && (first.length !== last.length || first.some((value, i) => value !== last[i]))) {
+        return `${name} is not closed: it ends at (${last.join(" ")}), not at (${first.join(" ")})`;
+      }
+      if (triangle ? ring.length !== 4 : ring.length < 4) {
+        return `${name} must have ${triangle ? "exactly" : "at least"} 4 points, but has ${ring.length}`;
+      }
+    }
+    return null;
+  };
+
+  /***************************************
+   * Parse Curve Text
+   * Reads the text of an SQL/MM curve type, or of a LINESTRING or POLYGON inside
+   * one, into a curve definition: `{type, coordinates}` for LINESTRING, POLYGON
+   * and CIRCULARSTRING, and `{type, geometries}` holding member definitions for
+   * COMPOUNDCURVE, CURVEPOLYGON, MULTICURVE and MULTISURFACE.
+   *
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {string} type - The upper-case type whose text follows.
+   * @param {Object} context - The geometry context, as for `readPosition`.
+   * @returns {Object} - The curve definition.
+   * @throws {WKTParseError} - Throws if a CIRCULARSTRING has an even number of points (or
+   *                           fewer than three), or if COMPOUNDCURVE segments do not join.
+   ****************************************/
+  GeoWKTer.prototype.readCurveText = function (tokenizer, type, context) {
+    const start = tokenizer.peek();
+    switch (type) {
+      case "LINESTRING":
+        return { type, coordinates: this.readLineStringText(tokenizer, context) };
+      case "POLYGON":
+        return { type, coordinates: this.readPolygonText(tokenizer, context) };
+      case "CIRCULARSTRING": {
+        // Each arc takes a start, a point on the arc and an end; arcs share their ends
+        const coordinates = this.readLineStringText(tokenizer, context);
+        if (coordinates.length && (coordinates.length < 3 || coordinates.length % 2 === 0)) {
+          throw tokenizer.error(
+            start,
+            "an odd number of points",
+            `CIRCULARSTRING must have an odd number of points, at least 3, but has ${coordinates.length}`
+          );
+        }
+        return { type, coordinates };
+      }
+    }
+
+    // Each segment of a compound curve must start exactly where the one before it ended
+    let end;
+    const geometries = this.readList(tokenizer, () => {
+      const token = tokenizer.peek();
+      const member = this.readCurveMember(tokenizer, type, context);
+      if (type === "COMPOUNDCURVE" && member.coordinates.length) {
+        const first = member.coordinates[0];
+        if (end && (first.length !== end.length || first.some((value, i) => value !== end[i]))) {
+          throw tokenizer.error(
+            token,
+            `a segment starting at (${end.join(" ")})`,
+            `COMPOUNDCURVE segment starts at (${first.join(" ")}), not at the end of the one before, (${end.join(" ")})`
+          );
+        }
+        end = member.coordinates[member.coordinates.length - 1];
+      }
+      return member;
+    });
+    return { type, geometries };
+  };
+
+  /***************************************
+   * Parse a Member of a Curve or Surface
+   * Members are tagged with their type, e.g. 'CIRCULARSTRING(...)', except that
+   * a linestring (in a COMPOUNDCURVE, CURVEPOLYGON or MULTICURVE) or a polygon
+   * (in a MULTISURFACE) is written as bare text. A member may repeat the dimension
+   * keyword of the geometry it belongs to, as PostGIS writes it.
+   *
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {string} parent - The type of the geometry the member belongs to.
+   * @param {Object} context - The geometry context, as for `readPosition`.
+   * @returns {Object} - The member's curve definition, from `readCurveText`.
+   * @throws {WKTParseError} - Throws if the member's type or dimension is not allowed.
+   ****************************************/
+  GeoWKTer.prototype.readCurveMember = function (tokenizer, parent, context) {
+    const members = {
+      COMPOUNDCURVE: ["LINESTRING", "CIRCULARSTRING"],
+      CURVEPOLYGON: ["LINESTRING", "CIRCULARSTRING", "COMPOUNDCURVE"],
+      MULTICURVE: ["LINESTRING", "CIRCULARSTRING", "COMPOUNDCURVE"],
+      MULTISURFACE: ["POLYGON", "CURVEPOLYGON"],
+    };
+    const allowed = members[parent];
+
+    const token = tokenizer.peek();
+    if (token.type !== "word" || token.value.toUpperCase() === "EMPTY") {
+      return this.readCurveText(tokenizer, allowed[0], context);
+    }
+
+    tokenizer.next();
+    const type = token.value.toUpperCase();
+    if (!allowed.includes(type)) {
+      throw tokenizer.error(token, allowed.join(", "), `${type} is not allowed in ${parent}`);
+    }
+    const dimensionToken = tokenizer.peek();
+    if (dimensionToken.type === "word" && /^(ZM|Z|M)$/i.test(dimensionToken.value)) {
+      tokenizer.next();
+      const declared = dimensionToken.value.toUpperCase();
+      if (declared !== context.declared) {
+        const expected = context.declared ? `${context.type} ${context.declared}` : context.type;
+        throw tokenizer.error(dimensionToken, '"("', `${type} ${declared} does not match ${expected}`);
+      }
+    }
+    return this.readCurveText(tokenizer, type, context);
+  };
+
+  /***************************************
+   * Resolve Linearization Settings
+   * @param {Object|boolean} [linearize] - `{maxAngle, maxError}`: the largest angle, in
+   *                                       degrees, that one segment may span around an
+   *                                       arc's centre, and the largest distance between
+   *                                       a segment and the arc it replaces. When neither
+   *                                       is given, segments span at most 90/32 degrees
+   *                                       (32 per quarter circle, as in PostGIS); when
+   *                                       both are, the finer one applies. However fine
+   *                                       the limits, a full circle is divided into at
+   *                                       most 65536 segments.
+   * @returns {Object} - `{maxAngle, maxError}`, with `maxAngle` in radians.
+   * @throws {Error} - Throws if either limit is not a positive, finite number.
+   ****************************************/
+  GeoWKTer.prototype.linearizeSettings = function (linearize) {
+    const { maxAngle, maxError } = typeof linearize === "object" && linearize !== null ? linearize : {};
+    [
+      ["maxAngle", maxAngle],
+      ["maxError", maxError],
+    ].forEach(([name, value]) => {
+      if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+        throw new Error(`Invalid linearize ${name}: ${value}`);
+      }
+    });
+
+    const degrees = maxAngle === undefined && maxError === undefined ? 90 / 32 : maxAngle;
+    return { maxAngle: degrees === undefined ? undefined : (degrees * Math.PI) / 180, maxError };
+  };
+
+  /***************************************
+   * Linearize a Curve Definition
+   * Arcs are replaced by straight segments (see `linearizeArc`). Every control
+   * point that ends an arc or segment is kept exactly, so the segments of a
+   * COMPOUNDCURVE join, and curved rings stay closed, just as they were written.
+   *
+   * @param {Object} curve - A curve definition, from `readCurveText`.
+   * @param {Object} settings - Linearization settings, from `linearizeSettings`.
+   * @returns {Array} - The coordinates of the matching linear type: a LINESTRING for
+   *                    CIRCULARSTRING and COMPOUNDCURVE, a POLYGON for CURVEPOLYGON, a
+   *                    MULTILINESTRING for MULTICURVE and a MULTIPOLYGON for MULTISURFACE.
+   ****************************************/
+  GeoWKTer.prototype.linearizeCurve = function (curve, settings) {
+    switch (curve.type) {
+      case "CIRCULARSTRING": {
+        const points = curve.coordinates;
+        const line = points.length ? [points[0].slice()] : [];
+        for (let i = 0; i + 2 < points.length; i += 2) {
+          // One at a time, since spreading a finely divided arc into push overflows the call stack
+          for (const position of this.linearizeArc(points[i], points[i + 1], points[i + 2], settings)) {
+            line.push(position);
+          }
+        }
+        return line;
+      }
+      case "COMPOUNDCURVE": {
+        // Each segment after the first starts with the previous segment's end
+        const line = [];
+        curve.geometries.forEach((segment) => {
+          const part = this.linearizeCurve(segment, settings);
+          part.forEach((position, index) => (index > 0 || line.length === 0) && line.push(position));
+        });
+        return line;
+      }
+      case "CURVEPOLYGON":
+      case "MULTICURVE":
+      case "MULTISURFACE":
+        return curve.geometries.map((member) => this.linearizeCurve(member, settings));
+      default:
+        return curve.coordinates; // LINESTRING or POLYGON
+    }
+  };
+
+  /***************************************
+   * Linearize One Circular Arc
+   * The arc runs from `start` through `middle` to `end`. It is divided into equal
+   * segments, as few as `settings` allow but no more than 65536 to a full
+   * circle. Z and M values are interpolated along
+   * the arc between those of the three control points. Three collinear points
+   * make two straight segments, and a start equal to the end makes a full circle
+   * (counter-clockwise) with `middle` diametrically opposite.
+   *
+   * @param {number[]} start - The first control point.
+   * @param {number[]} middle - Any point on the arc between the others.
+   * @param {number[]} end - The last control point.
+   * @param {Object} settings - Linearization settings, from `linearizeSettings`.
+   * @returns {number[][]} - The positions after `start`, ending with a copy of `end`.
+   ****************************************/
+  GeoWKTer.prototype.linearizeArc = function (start, middle, end, settings) {
+    const bx = middle[0] - start[0];
+    const by = middle[1] - start[1];
+    const ex = end[0] - start[0];
+    const ey = end[1] - start[1];
+    const determinant = 2 * (bx * ey - by * ex); // Positive when the arc turns counter-clockwise
+
+    let center;
+    let sweeps;
+    if (ex === 0 && ey === 0) {
+      center = [start[0] + bx / 2, start[1] + by / 2];
+      sweeps = [Math.PI, Math.PI];
+    } else if (determinant === 0) {
+      return [middle.slice(), end.slice()];
+    } else {
+      const b2 = bx * bx + by * by;
+      const e2 = ex * ex + ey * ey;
+      center = [start[0] + (ey * b2 - by * e2) / determinant, start[1] + (bx * e2 - ex * b2) / determinant];
+      const angle = (point) => Math.atan2(point[1] - center[1], point[0] - center[0]);
+      const turn = (from, to) => {
+        const delta = angle(to) - angle(from);
+        return determinant > 0 ? (delta + 4 * Math.PI) % (2 * Math.PI) : -((4 * Math.PI - delta) % (2 * Math.PI));
+      };
+      sweeps = [turn(start, middle), turn(middle, end)];
+    }
+
+    const radius = Math.hypot(start[0] - center[0], start[1] - center[1]);
+    const total = sweeps[0] + sweeps[1];
+    const maxSegments = 65536; // Per full circle, however fine the limits (a tiny maxError gives a step of 0)
+    let step = Math.PI;
+    if (settings.maxAngle !== undefined) step = Math.min(step, settings.maxAngle);
+    if (settings.maxError !== undefined && settings.maxError < radius) {
+      step = Math.min(step, 2 * Math.acos(1 - settings.maxError / radius)); // Chord whose sagitta is maxError
+    }
+    step = Math.max(step, (2 * Math.PI) / maxSegments);
+    const count = Math.min(maxSegments, Math.max(1, Math.ceil(Math.abs(total) / step - 1e-9)));
+
+    const startAngle = Math.atan2(start[1] - center[1], start[0] - center[0]);
+    const positions = [];
+    for (let i = 1; i < count; i++) {
+      const swept = (total * i) / count;
+      const theta = startAngle + swept;
+
+      // Interpolate Z and M between the control points on either side
+      const [from, to, fraction] =
+        Math.abs(swept) <= Math.abs(sweeps[0])
+          ? [start, middle, swept / sweeps[0]]
+          : [middle, end, (swept - sweeps[0]) / sweeps[1]];
+      const extra = from.slice(2).map((value, k) => value + fraction * (to[k + 2] - value));
+      positions.push([center[0] + radius * Math.cos(theta), center[1] + radius * Math.sin(theta)].concat(extra));
+    }
+    positions.push(end.slice());
+    return positions;
+  };
+
+  /***************************************
+   * Re-linearize the Curves of a Record
+   * @param {Object} geometry - An internal record, or a GEOMETRYCOLLECTION member.
+   * @param {Object|boolean} linearize - Linearization limits; see `linearizeSettings`.
+   * @returns {Object} - A copy whose curved geometries (those with a `curve` definition,
+   *                     including collection members) are linearized again from the
+   *                     definition; other geometries are returned unchanged.
+   ****************************************/
+  GeoWKTer.prototype.linearizeRecord = function (geometry, linearize) {
+    const key = ["components", "coordinates", "geometries"].find((name) => geometry[name] !== undefined);
+    if (geometry.type.toUpperCase() === "GEOMETRYCOLLECTION") {
+      return Object.assign({}, geometry, {
+        [key]: geometry[key].map((member) => this.linearizeRecord(member, linearize)),
+      });
+    }
+    if (!geometry.curve) return geometry;
+
+    // The definition keeps M values, which come out of the coordinates as `read` takes them
+    let coordinates = this.linearizeCurve(geometry.curve, this.linearizeSettings(linearize));
+    const result = Object.assign({}, geometry);
+    if (/M$/.test(geometry.dimension || "")) {
+      if (geometry.measures !== undefined) {
+        result.measures = this.mapPositions(coordinates, (position) => position[position.length - 1]);
+      }
+      coordinates = this.mapPositions(coordinates, (position) => position.slice(0, -1));
+    }
+    result[key] = coordinates;
+    return result;
+  };
+
+  /***************************************
+   * Parse GeometryCollection Text
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Object} [options] - Parsing options, as for `read`.
+   * @param {string} [declared] - The dimension keyword given on the collection, which
+   *                              members without their own keyword inherit.
+   * @returns {Object[]} - The parsed member geometries.
+   ****************************************/
+  GeoWKTer.prototype.readGeometryCollectionText = function (tokenizer, options = {}, declared) {
+    return this.readList(tokenizer, this.collectionMemberReader(tokenizer, options, declared));
+  };
+
+  /***************************************
+   * Create a Reader for GeometryCollection Members
+   * @param {WKTTokenizer} tokenizer - The token source.
+   * @param {Object} [options] - Parsing options, as for `read`.
+   * @param {string} [declared] - The dimension keyword given on the collection.
+   * @returns {Function} - Reads one member geometry per call, checking that every
+   *                       non-EMPTY member has the same dimension as the first.
+   ****************************************/
+  GeoWKTer.prototype.collectionMemberReader = function (tokenizer, options = {}, declared) {
+    let dimension;
+    return () => {
+      const start = tokenizer.peek();
+      const geometry = this.readGeometryTaggedText(tokenizer, options, declared || "");
+      if (this.isEmptyGeometry(geometry)) {
+        return geometry;
+      }
+      if (dimension === undefined) {
+        dimension = geometry.dimension;
+      } else if (geometry.dimension !== dimension) {
+        throw tokenizer.error(
+          start,
+          `a geometry with dimension ${dimension}`,
+          `GEOMETRYCOLLECTION members must all have dimension ${dimension}`
+        );
+      }
+      return geometry;
+    };
+  };
+
+  /***************************************
+   * Parse GeometryCollection
+   * This function processes the contents of a Well-Known Text (WKT)
+   * GEOMETRYCOLLECTION, and converts them into an array of geometry objects
+   * (not features at this stage) with identifying characteristics to be
+   * transformed into GeoJSON later.
+   *
+   * @param {string} str - The WKT text inside the collection's parentheses, e.g.
+   *                       'POINT(...), LINESTRING(...), ...'.
+   * @param {Object} [options] - Parsing options, as for `read`.
+   * @param {string} [declared] - The dimension keyword given on the collection, which
+   *                              members without their own keyword inherit.
+   * @returns {Object[]} - An array of geometry objects, each containing:
+   *                        - type: the type of geometry (e.g., POINT, LINESTRING).
+   *                        - coordinates: numerical array(s) representing the geometry's
+   *                          spatial data.
+   *                        - dimension: the member's coordinate dimension.
+   *                        - measures: the member's M values, when kept.
+   * @throws {WKTParseError} - Throws if a member is unsupported or malformed; the
+   *                           line and column are relative to `str`.
+   *
+   * This function does not wrap the geometries in GeoJSON features but prepares
+   * the data in a way that can be easily transformed into GeoJSON format by
+   * following processes.
+   ****************************************/
+  GeoWKTer.prototype.parseGeometryCollection = function (str, options = {}, declared) {
+    const tokenizer = new WKTTokenizer(str);
+    const readMember = this.collectionMemberReader(tokenizer, options, declared);
+    const components = [readMember()];
+    while (tokenizer.accept(",")) {
+      components.push(readMember());
+    }
+    tokenizer.expect("eof", '"," or end of input');
+    return components; // Return the array of parsed geometry objects
+  };
+
+  /***************************************
+   * Convert GeoJSON to Internal Representation
+   * This function is the reverse of `toGeoJSON`. It accepts a GeoJSON Geometry,
+   * Feature or FeatureCollection and converts it into the same internal
+   * `{type, components, label}` records that `read` produces, so the data can be
+   * written back out with `toWKT`.
+   *
+   * @param {Object} geoJSON - A GeoJSON Geometry, Feature or FeatureCollection.
+   * @param {string} [label] - Optional label applied to every record. When omitted,
+   *                           the `Name` property written by `toGeoJSON` is used.
+   * @returns {Object[]} - An array of internal records, one per Geometry or Feature.
+   *                       Features with a `null` geometry are skipped. When the input
+   *                       has a legacy `crs` member naming an EPSG code, each record
+   *                       gets the matching `srid`.
+   * @throws {Error} - Throws if the input is not GeoJSON or contains an unsupported type.
+   ****************************************/
+  GeoWKTer.prototype.fromGeoJSON = function (geoJSON, label) {
+    // Mapping object for WKT type conversion
+    const wktTypeMap = {
+      Point: "POINT",
+      LineString: "LINESTRING",
+      Polygon: "POLYGON",
+      MultiPoint: "MULTIPOINT",
+      MultiLineString: "MULTILINESTRING",
+      MultiPolygon: "MULTIPOLYGON",
+      GeometryCollection: "GEOMETRYCOLLECTION",
+    };
+
+    // Convert a GeoJSON geometry into a `{type, coordinates}` or `{type, geometries}` object
+    const convertGeometry = (geometry) => {
+      const type = wktTypeMap[geometry.type];
+      if (!type) {
+        throw new Error(`Unsupported GeoJSON type: ${geometry.type}`);
+      }
+      if (type === "GEOMETRYCOLLECTION") {
+        return { type, geometries: geometry.geometries.map(convertGeometry) };
+      }
+      return { type, coordinates: geometry.coordinates };
+    };
+
+    if (!geoJSON || typeof geoJSON.type !== "string") {
+      throw new Error("Invalid GeoJSON");
+    }
+
+    let records;
+    if (geoJSON.type === "FeatureCollection") {
+      // Records are gathered in one array, since concatenating feature by feature takes quadratic time
+      records = [];
+      geoJSON.features.forEach((feature) => {
+        this.fromGeoJSON(feature, label).forEach((record) => records.push(record));
+      });
+    } else if (geoJSON.type === "Feature") {
+      const properties = geoJSON.properties || {};
+      records = geoJSON.geometry ? this.fromGeoJSON(geoJSON.geometry, label !== undefined ? label : properties.Name) : [];
+    } else {
+      const geometry = convertGeometry(geoJSON);
+      records = [
+        {
+          type: geometry.type,
+          components: geometry.coordinates || geometry.geometries,
+          label,
+        },
+      ];
+    }
+
+    // A crs member applies to every record below it that has no CRS of its own
+    const srid = this.crsToSrid(geoJSON.crs);
+    if (srid !== undefined) {
+      records.forEach((record) => {
+        if (record.srid === undefined) record.srid = srid;
+      });
+    }
+    return records;
+  };
+
+  /***************************************
+   * Read the SRID from a Legacy GeoJSON `crs` Member
+   * Understands the 'EPSG:n' and 'urn:ogc:def:crs:EPSG::n' names, and the
+   * OGC CRS84 name, which is read as EPSG:4326.
+   *
+   * @param {Object} [crs] - The `crs` member of a GeoJSON object.
+   * @returns {number|undefined} - The SRID, or undefined if there is none.
+   ****************************************/
+  GeoWKTer.prototype.crsToSrid = function (crs) {
+    const name = crs && crs.properties && crs.properties.name;
+    if (typeof name !== "string") return undefined;
+    if (/CRS84$/i.test(name)) return 4326;
+
+    const match = /EPSG:+(\d+)$/i.exec(name);
+    return match ? Number(match[1]) : undefined;
+  };
+
+  /***************************************
+   * Convert Internal Data Array to WKT
+   * This function writes each internal record (as produced by `read` or
+   * `fromGeoJSON`) back out as a Well-Known Text string. A GeoJSON Geometry,
+   * Feature or FeatureCollection may be passed directly; it is converted with
+   * `fromGeoJSON` first.
+   *
+   * @param {Object[]|Object} dataArray - Internal records, or a GeoJSON object.
+   * @param {Object} [options] - Output options:
+   *                             - precision: number of decimal places to round each
+   *                               coordinate value to, removing the repeated vertices
+   *                               this creates (default: keep every digit).
+   *                             - simplify: simplify lines and polygon rings with this
+   *                               tolerance, or `{tolerance, algorithm}`. See `generalizeRecord`.
+   *                             - pretty: when true, nested coordinate lists are
+   *                               written on separate, indented lines (default: false,
+   *                               which produces the same compact form as `cleanWKTString`).
+   *                             - indent: the string used for one level of
+   *                               indentation in pretty output (default: two spaces).
+   *                             - ewkt: when true, records with an `srid` are written as
+   *                               EWKT with a 'SRID=n;' prefix (default: false).
+   *                             - linearize: when set, records read from curve types are
+   *                               written as their linearized geometry instead of as curves;
+   *                               `{maxAngle, maxError}` linearizes them again with those
+   *                               limits (see `linearizeSettings`).
+   * @returns {string[]} - One WKT string per record.
+   * @throws {Error} - Throws if a record has an unsupported type or a non-finite coordinate.
+   ****************************************/
+  GeoWKTer.prototype.toWKT = function (dataArray, options = {}) {
+    const records = Array.isArray(dataArray) ? dataArray : this.fromGeoJSON(dataArray);
+    const settings = {
+      precision: options.precision,
+      pretty: Boolean(options.pretty),
+      indent: options.indent !== undefined ? options.indent : "  ",
+      linearize: Boolean(options.linearize),
+    };
+
+    const { linearize, precision, simplify } = options;
+
+    return records.map((record) => {
+      const wkt = this.writeGeometry(this.prepareOutput(record, { linearize, precision, simplify }), settings, 0);
+      return options.ewkt && record.srid !== undefined ? `SRID=${record.srid};${wkt}` : wkt;
+    });
+  };
+
+  /***************************************
+   * Write a Single Geometry as WKT
+   * Kept M values are merged back into each vertex, and the dimension keyword
+   * (Z, M or ZM) is written after the type whenever the vertices carry more
+   * than two values. A geometry read from a curve type is written as that
+   * curve, unless `settings.linearize` is set. Otherwise the text after the
+   * type comes from the type's `write` function (see `geometryType`).
+   *
+   * @param {Object} geometry - An internal record, or a GEOMETRYCOLLECTION member
+   *                            with `coordinates` or `geometries`.
+   * @param {Object} settings - The resolved `toWKT` options.
+   * @param {number} level - Current indentation level for pretty output.
+   * @returns {string} - The WKT text for the geometry.
+   ****************************************/
+  GeoWKTer.prototype.writeGeometry = function (geometry, settings, level) {
+    if (geometry.curve && !settings.linearize) {
+      // M values are written only where the linearized geometry kept them
+      const dimension = geometry.dimension || "XY";
+      const dropM = /M$/.test(dimension) && geometry.measures === undefined;
+      const curve = dropM
+        ? this.mapGeometryPositions(geometry.curve, (position) => position.slice(0, -1))
+        : geometry.curve;
+      const keyword = dropM ? dimension.slice(2, -1) : dimension.slice(2);
+      return this.writeCurve(curve, keyword, settings, level);
+    }
+
+    const type = geometry.type.toUpperCase();
+    const keyword = this.dimensionKeyword(geometry);
+    const prefix = `${type}${keyword ? ` ${keyword}` : ""}${settings.pretty ? " " : ""}`;
+    const data = geometry.components || geometry.coordinates || geometry.geometries;
+
+    // A collection without members, or any other geometry without vertices
+    if (type === "GEOMETRYCOLLECTION" ? data.length === 0 : this.isEmptyCoordinates(data)) {
+      return `${type}${keyword ? ` ${keyword}` : ""} EMPTY`;
+    }
+
+    const definition = this.geometryType(type);
+    if (!definition || !definition.write) {
+      throw new Error(`Unsupported WKT type: ${type}`);
+    }
+    return `${prefix}${definition.write.call(this, this.mergeMeasures(data, geometry.measures), settings, level)}`;
+  };
+
+  /***************************************
+   * Write a Curve Definition as WKT
+   * Linestring members of curves and polygon members of a MULTISURFACE are
+   * written as bare text; other members are tagged with their type and the
+   * dimension keyword, as PostGIS writes them.
+   *
+   * @param {Object} curve - A curve definition, from `readCurveText`.
+   * @param {string} keyword - The dimension keyword ("Z", "M", "ZM" or "").
+   * @param {Object} settings - The resolved `toWKT` options.
+   * @param {number} level - Current indentation level for pretty output.
+   * @param {boolean} [member] - True when the curve is a member of another.
+   * @returns {string} - The WKT text for the curve.
+   ****************************************/
+  GeoWKTer.prototype.writeCurve = function (curve, keyword, settings, level, member) {
+    const bare = member && (curve.type === "LINESTRING" || curve.type === "POLYGON");
+    const tag = bare ? "" : `${curve.type}${keyword ? ` ${keyword}` : ""}`;
+    const data = curve.coordinates || curve.geometries;
+    if (data.length === 0) {
+      return tag ? `${tag} EMPTY` : "EMPTY";
+    }
+
+    const text = curve.geometries
+      ? this.joinWKTList(
+          data.map((item) => this.writeCurve(item, keyword, settings, level + 1, true)),
+          settings,
+          level
+        )
+      : this.writeCoordinateList(data, settings, level);
+    return `${tag}${tag && settings.pretty ? " " : ""}${text}`;
+  };
+
+  /***************************************
+   * Determine the WKT Dimension Keyword of a Geometry
+   * @param {Object} geometry - An internal record or GEOMETRYCOLLECTION member.
+   * @returns {string} - "Z", "M", "ZM", or an empty string for XY geometries.
+   *                     A collection gets a keyword only when all of its non-EMPTY
+   *                     members share it. An EMPTY geometry falls back on its
+   *                     recorded `dimension`.
+   ****************************************/
+  GeoWKTer.prototype.dimensionKeyword = function (geometry) {
+    const data = geometry.components || geometry.coordinates || geometry.geometries;
+    const recorded = (geometry.dimension || "XY").slice(2);
+
+    if (geometry.type.toUpperCase() === "GEOMETRYCOLLECTION") {
+      const keywords = data
+        .filter((member) => !this.isEmptyGeometry(member))
+        .map((member) => this.dimensionKeyword(member));
+      if (!keywords.length) return recorded;
+      return keywords.every((keyword) => keyword === keywords[0]) ? keywords[0] : "";
+    }
+
+    // Descend to the first vertex
+    let position = data;
+    while (Array.isArray(position[0])) position = position[0];
+    if (!position.length) return recorded;
+
+    const hasM = geometry.measures !== undefined;
+    const size = position.length + (hasM ? 1 : 0);
+    if (size === 4) return "ZM";
+    if (size === 3) return hasM ? "M" : "Z";
+    return "";
+  };
+
+  /***************************************
+   * Merge Kept M Values Back into Coordinates
+   * @param {Array} coordinates - The coordinates without M values.
+   * @param {Array|number} [measures] - The M values, mirroring the coordinate nesting.
+   * @returns {Array} - Coordinates with each M value appended to its vertex.
+   ****************************************/
+  GeoWKTer.prototype.mergeMeasures = function (coordinates, measures) {
+    if (measures === undefined) return coordinates;
+    if (typeof coordinates[0] === "number") {
+      return coordinates.concat([measures]);
+    }
+    return coordinates.map((item, index) => this.mergeMeasures(item, measures[index]));
+  };
+
+  /***************************************
+   * Write a Nested Coordinate List as WKT
+   * A list whose first element is a number is a single position and is written
+   * as space-separated values. An empty list is written as EMPTY. Any other list
+   * is written in parentheses with its children separated by commas.
+   *
+   * @param {Array} list - A list of positions, or a list of such lists.
+   * @param {Object} settings - The resolved `toWKT` options.
+   * @param {number} level - Current indentation level for pretty output.
+   * @returns {string} - The parenthesised WKT coordinate text.
+   ****************************************/
+  GeoWKTer.prototype.writeCoordinateList = function (list, settings, level) {
+    const items = list.map((item) => {
+      if (!item.length) {
+        return "EMPTY"; // An EMPTY member of a Multi* geometry or polygon
+      }
+      if (typeof item[0] === "number") {
+        return item.map((value) => this.formatNumber(value, settings.precision)).join(" ");
+      }
+      return this.writeCoordinateList(item, settings, level + 1);
+    });
+
+    // A single position, e.g. a POINT or a MULTIPOINT member, always stays on one line
+    if (list.length === 1 && typeof list[0][0] === "number") {
+      return `(${items[0]})`;
+    }
+    return this.joinWKTList(items, settings, level);
+  };
+
+  /***************************************
+   * Join WKT List Items
+   * @param {string[]} items - Already formatted list items.
+   * @param {Object} settings - The resolved `toWKT` options.
+   * @param {number} level - Current indentation level for pretty output.
+   * @returns {string} - The items wrapped in parentheses, either compact or one per line.
+   ****************************************/
+  GeoWKTer.prototype.joinWKTList = function (items, settings, level) {
+    if (!settings.pretty) {
+      return `(${items.join(",")})`;
+    }
+    const outer = settings.indent.repeat(level);
+    const inner = settings.indent.repeat(level + 1);
+    return `(\n${items.map((item) => inner + item).join(",\n")}\n${outer})`;
+  };
+
+  /***************************************
+   * Format a Coordinate Value for WKT Output
+   * @param {number} value - The coordinate value.
+   * @param {number} [precision] - Maximum number of decimal places to keep.
+   * @returns {string} - The value without exponent notation or trailing zeros.
+   * @throws {Error} - Throws if the value is not a finite number.
+   ****************************************/
+  GeoWKTer.prototype.formatNumber = function (value, precision) {
+    if (typeof value !== "number" || !isFinite(value)) {
+      throw new Error(`Invalid coordinate value: ${value}`);
+    }
+
+    const rounded = precision === undefined ? value : Number(value.toFixed(precision));
+    const text = String(rounded);
+
+    // WKT readers do not all accept exponent notation, so write small and large values out in full
+    if (/e-/i.test(text)) {
+      return rounded.toFixed(20).replace(/\.?0+$/, "");
+    }
+    if (/e\+/i.test(text)) {
+      // From 1e21 up every double is a whole number, which BigInt writes exactly
+      return BigInt(rounded).toString();
+    }
+    return text;
+  };
+
+  /***************************************
+   * Read WKB or EWKB and Convert to Internal Representation
+   * This function is the binary counterpart of `read`. It accepts Well-Known
+   * Binary as a hex string (as PostGIS, SpatiaLite and GeoPackage tools print
+   * it), an ArrayBuffer, or a typed array such as a Node Buffer, and returns
+   * the same internal records, so `toGeoJSON` works unchanged.
+   *
+   * Both byte orders are supported, as are the ISO type codes for Z, M and ZM
+   * (1000, 2000 and 3000 added to the base type) and the PostGIS EWKB flags
+   * (0x80000000 for Z, 0x40000000 for M and 0x20000000 for an SRID header).
+   *
+   * @param {string|ArrayBuffer|ArrayBufferView} wkb - The WKB or EWKB data.
+   * @param {string} label - A descriptive label stored on the record.
+   * @param {Object} [options] - Parsing options, as for `read`.
+   * @returns {Object[]} - An array containing a single internal record, as for `read`.
+   * @throws {Error} - Throws if the data is truncated, has trailing bytes, or uses
+   *                   an unsupported byte order or geometry type.
+   ****************************************/
+  GeoWKTer.prototype.readWKB = function (wkb, label, options = {}) {
+    const bytes = this.toByteArray(wkb);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const cursor = { offset: 0 };
+
+    let geometry;
+    try {
+      geometry = this.readWKBGeometry(view, cursor, options);
+    } catch (error) {
+      // DataView reports a read past the end of the data as a RangeError
+      if (error instanceof RangeError) {
+        throw new Error("Invalid WKB: unexpected end of data");
+      }
+      throw error;
+    }
+
+    if (cursor.offset !== view.byteLength) {
+      throw new Error(`Invalid WKB: ${view.byteLength - cursor.offset} unexpected bytes after the geometry`);
+    }
+    return [this.prepareRecord(geometry, label, options)];
+  };
+
+  /***************************************
+   * Convert WKB Input to a Byte Array
+   * @param {string|ArrayBuffer|ArrayBufferView} wkb - A hex string (optionally
+   *                  prefixed with '\x' or '0x'), an ArrayBuffer or a typed array.
+   * @returns {Uint8Array} - The bytes, sharing memory with the input where possible.
+   * @throws {Error} - Throws if a string is not valid hex or the input type is unsupported.
+   ****************************************/
+  GeoWKTer.prototype.toByteArray = function (wkb) {
+    if (typeof wkb === "string") {
+      const hex = wkb.trim().replace(/^(\\x|0x)/i, "");
+      if (!/^([0-9a-f]{2})*$/i.test(hex)) {
+        throw new Error("Invalid WKB: hex string must contain an even number of hex digits");
+      }
+      const bytes = new Uint8Array(hex.length / 2);
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+      }
+      return bytes;
+    }
+    if (wkb instanceof ArrayBuffer) {
+      return new Uint8Array(wkb);
+    }
+    if (ArrayBuffer.isView(wkb)) {
+      return new Uint8Array(wkb.buffer, wkb.byteOffset, wkb.byteLength);
+    }
+    throw new Error("Invalid WKB: expected a hex string, ArrayBuffer or Buffer");
+  };
+
+  /***************************************
+   * Read a WKB Geometry Header
+   * @param {DataView} view - The WKB data.
+   * @param {Object} cursor - Holds the current read `offset`, which is advanced.
+   * @returns {Object} - The header, with:
+   *                      - littleEndian: the byte order of this geometry.
+   *                      - type: the upper-case WKT geometry type registered with the
+   *                        code (see `wkbType`).
+   *                      - keyword: the dimension keyword, "", "Z", "M" or "ZM".
+   *                      - srid: the EWKB SRID, when the header has one.
+   * @throws {Error} - Throws on an unknown byte order or geometry type.
+   ****************************************/
+  GeoWKTer.prototype.readWKBHeader = function (view, cursor) {
+    const byteOrder = view.getUint8(cursor.offset);
+    if (byteOrder > 1) {
+      throw new Error(`Invalid WKB: unknown byte order ${byteOrder} at byte ${cursor.offset}`);
+    }
+    const littleEndian = byteOrder === 1;
+    const code = view.getUint32(cursor.offset + 1, littleEndian);
+    cursor.offset += 5;
+
+    // EWKB keeps the dimension and SRID in the high bits, ISO WKB in the thousands
+    const isoDimension = Math.floor((code & 0x0fffffff) / 1000);
+    const type = this.wkbType((code & 0x0fffffff) % 1000);
+    if (!type || isoDimension > 3) {
+      throw new Error(`Unsupported WKB geometry type: ${code}`);
+    }
+    const hasZ = (code & 0x80000000) !== 0 || isoDimension === 1 || isoDimension === 3;
+    const hasM = (code & 0x40000000) !== 0 || isoDimension === 2 || isoDimension === 3;
+
+    const header = { littleEndian, type, keyword: `${hasZ ? "Z" : ""}${hasM ? "M" : ""}` };
+    if ((code & 0x20000000) !== 0) {
+      header.srid = view.getUint32(cursor.offset, littleEndian);
+      cursor.offset += 4;
+    }
+    return header;
+  };
+
+  /***************************************
+   * Read a WKB Geometry
+   * @param {DataView} view - The WKB data.
+   * @param {Object} cursor - Holds the current read `offset`, which is advanced.
+   * @param {Object} [options] - Parsing options, as for `read`.
+   * @returns {Object} - A GeoJSON-like object, as `wktToGeoJSON` returns.
+   * @throws {Error} - Throws if a member does not match its parent's dimension.
+   ****************************************/
+  GeoWKTer.prototype.readWKBGeometry = function (view, cursor, options = {}) {
+    const header = this.readWKBHeader(view, cursor);
+    const { type, keyword } = header;
+    let geometry;
+
+    if (type === "GEOMETRYCOLLECTION") {
+      const count = view.getUint32(cursor.offset, header.littleEndian);
+      cursor.offset += 4;
+      const geometries = [];
+      for (let i = 0; i < count; i++) {
+        geometries.push(this.readWKBGeometry(view, cursor, options));
+      }
+      const dimension = this.collectionDimension(geometries, keyword || undefined);
+      if (dimension !== `XY${keyword}`) {
+        throw new Error(`GEOMETRYCOLLECTION members must all have dimension XY${keyword}`);
+      }
+      geometry = { type, geometries, dimension };
+    } else {
+      const coordinates = this.readWKBCoordinates(view, cursor, header);
+      geometry = Object.assign({ type }, this.applyDimension(type, coordinates, keyword || undefined, options));
+    }
+
+    if (header.srid !== undefined) {
+      geometry.srid = header.srid;
+    }
+    return geometry;
+  };
+
+  /***************************************
+   * Read the Coordinates of a Non-Collection WKB Geometry
+   * The members of MULTIPOINT, MULTILINESTRING and MULTIPOLYGON are complete
+   * WKB geometries with their own headers; each must be of the matching single
+   * type and have the same dimension as the parent. WKB writes an EMPTY point
+   * with NaN for every value; it is returned as an empty array.
+   *
+   * @param {DataView} view - The WKB data.
+   * @param {Object} cursor - Holds the current read `offset`, which is advanced.
+   * @param {Object} header - The geometry's header from `readWKBHeader`.
+   * @returns {Array} - The coordinates, with any M value still in each vertex.
+   * @throws {Error} - Throws if a Multi* member has the wrong type or dimension.
+   ****************************************/
+  GeoWKTer.prototype.readWKBCoordinates = function (view, cursor, header) {
+    const { littleEndian, type, keyword } = header;
+    const size = 2 + keyword.length;
+
+    const readCount = () => {
+      const count = view.getUint32(cursor.offset, littleEndian);
+      cursor.offset += 4;
+      return count;
+    };
+    const readPosition = () => {
+      const position = [];
+      for (let i = 0; i < size; i++) {
+        position.push(view.getFloat64(cursor.offset, littleEndian));
+        cursor.offset += 8;
+      }
+      return position;
+    };
+    const readPositions = () => {
+      const count = readCount();
+      const positions = [];
+      for (let i = 0; i < count; i++) positions.push(readPosition());
+      return positions;
+    };
+    const readList = (readItem) => {
+      const count = readCount();
+      const items = [];
+      for (let i = 0; i < count; i++) items.push(readItem());
+      return items;
+    };
+    const describe = (name, dimension) => (dimension ? `${name} ${dimension}` : name);
+    const readMember = (memberType) => () => {
+      const memberHeader = this.readWKBHeader(view, cursor);
+      if (memberHeader.type !== memberType || memberHeader.keyword !== keyword) {
+        throw new Error(
+          `Invalid WKB: ${describe(type, keyword)} member is ${describe(memberHeader.type, memberHeader.keyword)}`
+        );
+      }
+      return this.readWKBCoordinates(view, cursor, memberHeader);
+    };
+
+    // Surface faces are checked as they are in WKT
+    let face = 0;
+    const readFace = (rings, triangle, index) => {
+      const problem = this.faceProblem(rings, triangle);
+      if (problem) {
+        throw new Error(`Invalid WKB: ${index === undefined ? type : `${type} face ${index}`} ${problem}`);
+      }
+      return rings;
+    };
+
+    switch (this.baseType(type)) {
+      case "POINT": {
+        const position = readPosition();
+        return position.every((value) => isNaN(value)) ? [] : position;
+      }
+      case "LINESTRING":
+        return readPositions();
+      case "POLYGON":
+        return readList(readPositions);
+      case "MULTIPOINT":
+        return readList(readMember("POINT"));
+      case "MULTILINESTRING":
+        return readList(readMember("LINESTRING"));
+      case "MULTIPOLYGON":
+        return readList(readMember("POLYGON"));
+      case "TRIANGLE":
+        return readFace(readList(readPositions), true);
+      case "TIN":
+        return readList(() => readFace(readMember("TRIANGLE")(), true, face++));
+      case "POLYHEDRALSURFACE":
+        return readList(() => readFace(readMember("POLYGON")(), false, face++));
+      default:
+        throw new Error(`Unsupported WKB geometry type: ${type}`);
+    }
+  };
+
+  /***************************************
+   * Convert Internal Data Array to WKB
+   * This function is the binary counterpart of `toWKT`. It writes each internal
+   * record as Well-Known Binary; a GeoJSON object may be passed directly.
+   *
+   * @param {Object[]|Object} dataArray - Internal records, or a GeoJSON object.
+   * @param {Object} [options] - Output options:
+   *                             - format: "hex" (default) for upper-case hex strings,
+   *                               or "binary" for Uint8Arrays.
+   *                             - littleEndian: byte order (default: true, as PostGIS writes).
+   *                             - ewkb: when true, write PostGIS EWKB, with the dimension
+   *                               in flag bits and an SRID header for records that have
+   *                               an `srid` (default: false, which writes ISO WKB).
+   * @returns {Array<string|Uint8Array>} - One WKB value per record.
+   * @throws {Error} - Throws if a record has an unsupported type.
+   ****************************************/
+  GeoWKTer.prototype.toWKB = function (dataArray, options = {}) {
+    const records = Array.isArray(dataArray) ? dataArray : this.fromGeoJSON(dataArray);
+    const settings = {
+      littleEndian: options.littleEndian !== false,
+      ewkb: Boolean(options.ewkb),
+    };
+
+    return records.map((record) => {
+      const writer = this.createByteWriter(settings.littleEndian);
+      this.writeWKBGeometry(writer, record, settings, settings.ewkb ? record.srid : undefined);
+      const bytes = writer.toBytes();
+      if (options.format === "binary") {
+        return bytes;
+      }
+      return Array.from(bytes, (byte) => (byte < 16 ? "0" : "") + byte.toString(16)).join("").toUpperCase();
+    });
+  };
+
+  /***************************************
+   * Write a Single Geometry as WKB
+   * A geometry of a registered type is written with the type's `wkbCode` and
+   * laid out as its `baseType`.
+   *
+   * @param {Object} writer - A byte writer from `createByteWriter`.
+   * @param {Object} geometry - An internal record or GEOMETRYCOLLECTION member.
+   * @param {Object} settings - The resolved `toWKB` options.
+   * @param {number} [srid] - An SRID to write in the EWKB header.
+   ****************************************/
+  GeoWKTer.prototype.writeWKBGeometry = function (writer, geometry, settings, srid) {
+    const codeOf = (name) => (this.geometryType(name) || {}).wkbCode;
+    const type = this.baseType(geometry.type);
+    const keyword = this.dimensionKeyword(geometry);
+    const data = geometry.components || geometry.coordinates || geometry.geometries;
+
+    if (!codeOf(geometry.type) || !baseTypes.includes(type)) {
+      throw new Error(`Unsupported WKB geometry type: ${geometry.type.toUpperCase()}`);
+    }
+
+    const writeHeader = (headerType, headerSrid) => {
+      let code = codeOf(headerType);
+      if (settings.ewkb) {
+        if (keyword.includes("Z")) code |= 0x80000000;
+        if (keyword.includes("M")) code |= 0x40000000;
+        if (headerSrid !== undefined) code |= 0x20000000;
+      } else {
+        code += { "": 0, Z: 1000, M: 2000, ZM: 3000 }[keyword];
+      }
+      writer.uint8(settings.littleEndian ? 1 : 0);
+      writer.uint32(code >>> 0);
+      if (settings.ewkb && headerSrid !== undefined) writer.uint32(headerSrid);
+    };
+    const size = 2 + keyword.length;
+    const writePosition = (position) => {
+      // WKB has no EMPTY point, so one is written with NaN for every value
+      const values = position.length ? position : new Array(size).fill(NaN);
+      values.forEach((value) => writer.float64(value));
+    };
+    const writePositions = (positions) => {
+      writer.uint32(positions.length);
+      positions.forEach(writePosition);
+    };
+    const writeRings = (rings) => {
+      writer.uint32(rings.length);
+      rings.forEach(writePositions);
+    };
+    const writeMembers = (memberType, members, writeMember) => {
+      writer.uint32(members.length);
+      members.forEach((member) => {
+        writeHeader(memberType);
+        writeMember(member);
+      });
+    };
+
+    writeHeader(geometry.type, srid);
+    if (type === "GEOMETRYCOLLECTION") {
+      writer.uint32(data.length);
+      data.forEach((member) => this.writeWKBGeometry(writer, member, settings));
+      return;
+    }
+
+    const coordinates = this.mergeMeasures(data, geometry.measures);
+    switch (type) {
+      case "POINT":
+        writePosition(coordinates);
+        break;
+      case "LINESTRING":
+        writePositions(coordinates);
+        break;
+      case "POLYGON":
+        writeRings(coordinates);
+        break;
+      case "MULTIPOINT":
+        writeMembers("POINT", coordinates, writePosition);
+        break;
+      case "MULTILINESTRING":
+        writeMembers("LINESTRING", coordinates, writePositions);
+        break;
+      case "MULTIPOLYGON":
+      case "POLYHEDRALSURFACE":
+        writeMembers("POLYGON", coordinates, writeRings);
+        break;
+      case "TRIANGLE":
+        writeRings(coordinates);
+        break;
+      case "TIN":
+        writeMembers("TRIANGLE", coordinates, writeRings);
+        break;
+    }
+  };
+
+  /***************************************
+   * Create a Growable Byte Writer
+   * @param {boolean} littleEndian - Byte order for multi-byte values.
+   * @returns {Object} - A writer with `uint8`, `uint32` and `float64` methods that
+   *                     append values, and `toBytes` to return the written bytes.
+   ****************************************/
+  GeoWKTer.prototype.createByteWriter = function (littleEndian) {
+    let buffer = new ArrayBuffer(256);
+    let view = new DataView(buffer);
+    let length = 0;
+
+    // Double the buffer whenever the next value would not fit
+    const reserve = (size) => {
+      if (length + size <= buffer.byteLength) return;
+      let capacity = buffer.byteLength * 2;
+      while (capacity < length + size) capacity *= 2;
+      const grown = new ArrayBuffer(capacity);
+      new Uint8Array(grown).set(new Uint8Array(buffer, 0, length));
+      buffer = grown;
+      view = new DataView(buffer);
+    };
+
+    return {
+      uint8(value) {
+        reserve(1);
+        view.setUint8(length, value);
+        length += 1;
+      },
+      uint32(value) {
+        reserve(4);
+        view.setUint32(length, value, littleEndian);
+        length += 4;
+      },
+      float64(value) {
+        reserve(8);
+        view.setFloat64(length, value, littleEndian);
+        length += 8;
+      },
+      toBytes() {
+        return new Uint8Array(buffer.slice(0, length));
+      },
+    };
+  };
+
+  /***************************************
+   * Read Esri JSON and Convert to Internal Representation
+   * Reads the geometry JSON of the ArcGIS REST API: points (`{x, y}`), multipoints
+   * (`{points}`), polylines (`{paths}`) and polygons (`{rings}`), alone, as a
+   * feature (`{geometry, attributes}`) or as a feature set (`{features}`).
+   * A polyline with one path becomes a LINESTRING, and any other a
+   * MULTILINESTRING.
+   *
+   * Esri polygons list their rings without saying which belong together.
+   * Exterior rings run clockwise and holes counter-clockwise, so clockwise rings
+   * become shells, and each hole goes to the smallest shell that contains it.
+   * A hole inside no shell becomes a polygon of its own. One polygon gives a
+   * POLYGON, and any other number a MULTIPOLYGON.
+   *
+   * The `spatialReference` sets the record's `srid` (its `latestWkid`, or else
+   * its `wkid`, with Esri's 102100 and 102113 read as EPSG:3857), so `toGeoJSON`
+   * names the matching CRS. A feature set's spatial reference applies to every
+   * feature without one of its own. Feature attributes become the record's properties.
+   *
+   * @param {Object|string} esri - An Esri JSON geometry, feature or feature set, or its JSON text.
+   * @param {string} label - A descriptive label stored on every record.
+   * @param {Object} [options] - Parsing options, as for `read`. Properties from `options.properties`
+   *                             are added to the feature attributes, replacing any of the same name.
+   * @returns {Object[]} - One internal record per geometry; features with no geometry are skipped.
+   * @throws {Error} - Throws if the input is not an Esri JSON geometry, or a vertex does not have
+   *                   the values that `hasZ` and `hasM` call for.
+   ****************************************/
+  GeoWKTer.prototype.readEsriJSON = function (esri, label, options = {}) {
+    const input = typeof esri === "string" ? JSON.parse(esri) : esri;
+    if (!input || typeof input !== "object") {
+      throw new Error("Invalid Esri JSON: expected a geometry, feature or feature set");
+    }
+
+    const readFeature = (feature, spatialReference) => {
+      if (!feature.geometry) return [];
+      const geometry = Object.assign({ spatialReference }, feature.geometry);
+      const record = this.readEsriJSON(geometry, label, options)[0];
+      record.properties = Object.assign({}, feature.attributes, record.properties);
+      return [record];
+    };
+
+    if (Array.isArray(input.features)) {
+      return input.features.reduce(
+        (records, feature) => records.concat(readFeature(feature, input.spatialReference)),
+        []
+      );
+    }
+    if (input.geometry !== undefined || input.attributes !== undefined) {
+      return readFeature(input);
+    }
+
+    const geometry = this.readEsriGeometry(input, options);
+    const spatialReference = input.spatialReference || {};
+    const wkid = spatialReference.latestWkid !== undefined ? spatialReference.latestWkid : spatialReference.wkid;
+    if (wkid !== undefined && wkid !== null) {
+      geometry.srid = wkid === 102100 || wkid === 102113 ? 3857 : wkid;
+    }
+    return [this.prepareRecord(geometry, label, options)];
+  };
+
+  /***************************************
+   * Read a Single Esri JSON Geometry
+   * @param {Object} esri - An Esri JSON point, multipoint, polyline or polygon.
+   * @param {Object} [options] - Parsing options, as for `read`; `measures` is consulted.
+   * @returns {Object} - A `{type, coordinates, dimension, measures?}` object for `prepareRecord`.
+   * @throws {Error} - Throws if the geometry type is not recognised, or a vertex has too
+   *                   few values for its `hasZ` and `hasM` flags.
+   ****************************************/
+  GeoWKTer.prototype.readEsriGeometry = function (esri, options = {}) {
+    const present = (value) => value !== undefined && value !== null;
+
+    // A point carries its Z and M as properties, where other geometries use hasZ and hasM
+    if (esri.x !== undefined) {
+      if (!present(esri.x) || esri.x === "NaN" || Number.isNaN(esri.x)) {
+        return { type: "POINT", coordinates: [], dimension: "XY" };
+      }
+      const keyword = (present(esri.z) ? "Z" : "") + (present(esri.m) ? "M" : "");
+      const position = [esri.x, esri.y, esri.z, esri.m].filter(present);
+      return Object.assign({ type: "POINT" }, this.applyDimension("POINT", position, keyword || undefined, options));
+    }
+
+    // Vertices may hold more values than the flags call for; ArcGIS ignores the rest
+    const keyword = (esri.hasZ ? "Z" : "") + (esri.hasM ? "M" : "");
+    const trim = (positions) => positions.map((position) => position.slice(0, 2 + keyword.length));
+    const read = (type, coordinates) =>
+      Object.assign({ type }, this.applyDimension(type, coordinates, keyword || undefined, options));
+
+    if (Array.isArray(esri.points)) {
+      return read("MULTIPOINT", trim(esri.points));
+    }
+    // A single part (or none, for an empty geometry) is read as the single type
+    if (Array.isArray(esri.paths)) {
+      const paths = esri.paths.map(trim);
+      return paths.length <= 1 ? read("LINESTRING", paths[0] || []) : read("MULTILINESTRING", paths);
+    }
+    if (Array.isArray(esri.rings)) {
+      const polygons = this.groupEsriRings(esri.rings.map(trim));
+      return polygons.length <= 1 ? read("POLYGON", polygons[0] || []) : read("MULTIPOLYGON", polygons);
+    }
+    throw new Error("Invalid Esri JSON: expected x and y, points, paths or rings");
+  };
+
+  /***************************************
+   * Group Esri Polygon Rings into Polygons
+   * Rings are closed if they are not already, and empty rings are dropped.
+   * Clockwise rings are shells; each counter-clockwise ring is a hole of the
+   * smallest shell that contains it, or else a shell itself.
+   *
+   * @param {number[][][]} rings - The polygon's rings, in any order.
+   * @returns {number[][][][]} - The polygons, each a shell followed by its holes.
+   ****************************************/
+  GeoWKTer.prototype.groupEsriRings = function (rings) {
+    const closed = rings
+      .filter((ring) => ring.length)
+      .map((ring) => (this.isClosed(ring) ? ring : ring.concat([ring[0]])));
+
+    // Esri rings are wound the opposite way to GeoJSON, so a shell has a negative signed area
+    const polygons = closed.filter((ring) => this.ringArea(ring) < 0).map((shell) => [shell]);
+    const orphans = [];
+    closed
+      .filter((ring) => this.ringArea(ring) >= 0)
+      .forEach((hole) => {
+        let owner;
+        polygons.forEach((polygon) => {
+          const smaller = !owner || Math.abs(this.ringArea(polygon[0])) < Math.abs(this.ringArea(owner[0]));
+          if (smaller && this.ringInsideRing(hole, polygon[0]) === true) {
+            owner = polygon;
+          }
+        });
+        if (owner) {
+          owner.push(hole);
+        } else {
+          orphans.push([hole]);
+        }
+      });
+    return polygons.concat(orphans);
+  };
+
+  /***************************************
+   * Convert Internal Data Array to Esri JSON
+   * Writes each record as an Esri JSON geometry for the ArcGIS REST API. Polygon
+   * shells are wound clockwise and holes counter-clockwise, as Esri expects, and
+   * MULTIPOLYGONs, TINs and polyhedral surfaces are written as one polygon with
+   * all of their rings. Esri JSON has no collection type, so a GEOMETRYCOLLECTION
+   * is written only when its members can be merged into one Multi* geometry.
+   *
+   * The `spatialReference` names the record's SRID, or EPSG:4326 when it has
+   * none; EPSG:3857 is written as `{wkid: 102100, latestWkid: 3857}`, as ArcGIS
+   * writes it.
+   *
+   * @param {Object[]|Object} dataArray - Internal records, or a GeoJSON object.
+   * @param {Object} [options] - Output options:
+   *                             - features: when true, write `{geometry, attributes}` features,
+   *                               with the record's properties as attributes (default: false).
+   *                             - transform, linearize, precision, simplify: as for `toGeoJSON`.
+   * @returns {Object[]} - One Esri JSON geometry (or feature) per record.
+   * @throws {Error} - Throws if a GEOMETRYCOLLECTION mixes points, lines and polygons, or a
+   *                   record has an unsupported type.
+   ****************************************/
+  GeoWKTer.prototype.toEsriJSON = function (dataArray, options = {}) {
+    const records = Array.isArray(dataArray) ? dataArray : this.fromGeoJSON(dataArray);
+
+    return records.map((record, index) => {
+      let output = this.prepareOutput(record, options);
+      if (output.type.toUpperCase() === "GEOMETRYCOLLECTION") {
+        output = Object.assign(this.mergeCollection(output), { srid: output.srid });
+        if (output.type === "GEOMETRYCOLLECTION") {
+          throw new Error(
+            `Esri JSON has no collection type: record ${index} does not hold points, lines or polygons alone`
+          );
+        }
+      }
+
+      const geometry = this.writeEsriGeometry(output);
+      const srid = output.srid !== undefined ? output.srid : 4326;
+      geometry.spatialReference = srid === 3857 ? { wkid: 102100, latestWkid: 3857 } : { wkid: srid };
+      return options.features ? { geometry, attributes: Object.assign({}, record.properties) } : geometry;
+    });
+  };
+
+  /***************************************
+   * Write a Single Geometry as Esri JSON
+   * @param {Object} geometry - An internal record, or a merged GEOMETRYCOLLECTION.
+   * @returns {Object} - The Esri JSON geometry, without its `spatialReference`.
+   * @throws {Error} - Throws if the geometry has an unsupported type.
+   ****************************************/
+  GeoWKTer.prototype.writeEsriGeometry = function (geometry) {
+    const type = this.baseType(geometry.type);
+    const keyword = this.dimensionKeyword(geometry);
+    const coordinates = this.mergeMeasures(geometry.components || geometry.coordinates, geometry.measures);
+    const flags = {};
+    if (keyword.includes("Z")) flags.hasZ = true;
+    if (keyword.includes("M")) flags.hasM = true;
+
+    // Shells run clockwise, with a negative signed area, and holes counter-clockwise
+    const wind = (ring, clockwise) => ((this.ringArea(ring) < 0) === clockwise ? ring : ring.slice().reverse());
+    const rings = (polygons) => {
+      const written = [];
+      polygons
+        .filter((polygon) => polygon.length && polygon[0].length)
+        .forEach(([shell, ...holes]) => written.push(wind(shell, true), ...holes.map((hole) => wind(hole, false))));
+      return written;
+    };
+
+    switch (type) {
+      case "POINT": {
+        if (!coordinates.length) return { x: null };
+        const point = { x: coordinates[0], y: coordinates[1] };
+        if (flags.hasZ) point.z = coordinates[2];
+        if (flags.hasM) point.m = coordinates[coordinates.length - 1];
+        return point;
+      }
+      case "MULTIPOINT":
+        return Object.assign(flags, { points: coordinates.filter((point) => point.length) });
+      case "LINESTRING":
+        return Object.assign(flags, { paths: coordinates.length ? [coordinates] : [] });
+      case "MULTILINESTRING":
+        return Object.assign(flags, { paths: coordinates.filter((path) => path.length) });
+      case "POLYGON":
+      case "TRIANGLE":
+        return Object.assign(flags, { rings: rings([coordinates]) });
+      case "MULTIPOLYGON":
+      case "TIN":
+      case "POLYHEDRALSURFACE":
+        return Object.assign(flags, { rings: rings(coordinates) });
+      default:
+        throw new Error(`Unsupported Esri JSON type: ${type}`);
+    }
+  };
+
+  /***************************************
+   * Convert Internal Data Array to KML
+   * Writes each record as a Placemark in a KML 2.2 document, for Google Earth
+   * and other KML viewers. The record's label becomes the Placemark's `name`
+   * and its properties become `ExtendedData`. Multi* types, TINs, polyhedral
+   * surfaces and GEOMETRYCOLLECTIONs become a `MultiGeometry`. Z values are
+   * kept as altitudes; M values are dropped, as KML has no place for them.
+   *
+   * KML coordinates are always WGS 84 longitude/latitude, so records with an
+   * SRID are reprojected to EPSG:4326 first.
+   *
+   * @param {Object[]|Object} dataArray - Internal records, or a GeoJSON object.
+   * @param {Object} [options] - Output options:
+   *                             - name: a name for the KML Document.
+   *                             - altitudeMode: "absolute" (default), "relativeToGround" or
+   *                               "clampToGround", written on every geometry with Z values.
+   *                             - transform: the reprojection to apply instead of the default,
+   *                               e.g. `{from: 2234}` for records read without their SRID.
+   *                             - linearize, precision, simplify: as for `toWKT`.
+   * @returns {string} - The KML document.
+   * @throws {Error} - Throws if `altitudeMode` is not supported, a record's SRID has no
+   *                   registered projection, or a coordinate is not finite.
+   ****************************************/
+  GeoWKTer.prototype.toKML = function (dataArray, options = {}) {
+    const records = Array.isArray(dataArray) ? dataArray : this.fromGeoJSON(dataArray);
+    const settings = {
+      precision: options.precision,
+      altitudeMode: options.altitudeMode || "absolute",
+    };
+    if (!["absolute", "relativeToGround", "clampToGround"].includes(settings.altitudeMode)) {
+      throw new Error(`Unsupported altitudeMode: ${settings.altitudeMode}`);
+    }
+
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<kml xmlns="http://www.opengis.net/kml/2.2">'];
+    lines.push("  <Document>");
+    if (options.name !== undefined) {
+      lines.push(`    <name>${this.escapeXML(options.name)}</name>`);
+    }
+
+    records.forEach((record) => {
+      const geometry = this.prepareGeographicOutput(record, options);
+      lines.push("    <Placemark>");
+      if (record.label !== undefined && record.label !== "") {
+        lines.push(`      <name>${this.escapeXML(record.label)}</name>`);
+      }
+
+      const properties = Object.keys(record.properties || {});
+      if (properties.length) {
+        lines.push("      <ExtendedData>");
+        properties.forEach((key) => {
+          const value = this.escapeXML(this.propertyText(record.properties[key]));
+          lines.push(`        <Data name="${this.escapeXML(key)}"><value>${value}</value></Data>`);
+        });
+        lines.push("      </ExtendedData>");
+      }
+
+      // An EMPTY geometry leaves the Placemark without one, which KML allows
+      const kml = this.writeKMLGeometry(geometry, settings);
+      if (kml) lines.push(`      ${kml}`);
+      lines.push("    </Placemark>");
+    });
+
+    lines.push("  </Document>", "</kml>");
+    return lines.join("\n");
+  };
+
+  /***************************************
+   * Write a Single Geometry as KML
+   * @param {Object} geometry - An internal record or GEOMETRYCOLLECTION member.
+   * @param {Object} settings - The resolved `toKML` options.
+   * @returns {string} - The KML geometry element, or "" when the geometry is EMPTY.
+   * @throws {Error} - Throws if the geometry has an unsupported type.
+   ****************************************/
+  GeoWKTer.prototype.writeKMLGeometry = function (geometry, settings) {
+    const type = this.baseType(geometry.type);
+    const data = geometry.components || geometry.coordinates || geometry.geometries;
+
+    if (type === "GEOMETRYCOLLECTION") {
+      const members = data.map((member) => this.writeKMLGeometry(member, settings)).filter(Boolean);
+      return members.length ? `<MultiGeometry>${members.join("")}</MultiGeometry>` : "";
+    }
+    if (this.isEmptyCoordinates(data)) {
+      return "";
+    }
+
+    const hasZ = this.dimensionKeyword(geometry).includes("Z");
+    const altitude = hasZ ? `<altitudeMode>${settings.altitudeMode}</altitudeMode>` : "";
+
+    // M values are held apart in `measures`, so a position is X, Y and any Z
+    const coordinates = (positions) => {
+      const text = positions.map((position) =>
+        position
+          .slice(0, hasZ ? 3 : 2)
+          .map((value) => this.formatNumber(value, settings.precision))
+          .join(",")
+      );
+      return `<coordinates>${text.join(" ")}</coordinates>`;
+    };
+    const point = (position) => `<Point>${altitude}${coordinates([position])}</Point>`;
+    const lineString = (positions) => `<LineString>${altitude}${coordinates(positions)}</LineString>`;
+    const polygon = (rings) => {
+      const [shell, ...holes] = rings.map((ring) => `<LinearRing>${coordinates(ring)}</LinearRing>`);
+      const inner = holes.map((hole) => `<innerBoundaryIs>${hole}</innerBoundaryIs>`).join("");
+      return `<Polygon>${altitude}<outerBoundaryIs>${shell}</outerBoundaryIs>${inner}</Polygon>`;
+    };
+    const multi = (parts, writePart) => {
+      const written = parts.filter((part) => !this.isEmptyCoordinates(part)).map(writePart);
+      return `<MultiGeometry>${written.join("")}</MultiGeometry>`;
+    };
+
+    switch (type) {
+      case "POINT":
+        return point(data);
+      case "LINESTRING":
+        return lineString(data);
+      case "POLYGON":
+      case "TRIANGLE":
+        return polygon(data);
+      case "MULTIPOINT":
+        return multi(data, point);
+      case "MULTILINESTRING":
+        return multi(data, lineString);
+      case "MULTIPOLYGON":
+      case "TIN":
+      case "POLYHEDRALSURFACE":
+        return multi(data, polygon);
+      default:
+        throw new Error(`Unsupported KML type: ${type}`);
+    }
+  };
+
+  /***************************************
+   * Convert Internal Data Array to GPX
+   * Writes the records as a GPX 1.1 document, for GPS units. Points (including
+   * the points of a MULTIPOINT) become waypoints, and lines become tracks, one
+   * per record with a track segment per line. Members of a GEOMETRYCOLLECTION are
+   * written by the same rules. Z values are written as elevations.
+   *
+   * GPX has no polygon type, so polygons, triangles, TINs and polyhedral
+   * surfaces are handled by `polygonMode`.
+   *
+   * The record's label is written as the `name`, and properties named after a
+   * GPX element (`cmt`, `desc`, `src` and `type`, plus `time` and `sym` on
+   * waypoints) as that element. GPX has no place for other properties, so
+   * they are left out.
+   *
+   * GPX coordinates are always WGS 84 latitude/longitude, so records with an
+   * SRID are reprojected to EPSG:4326 first.
+   *
+   * @param {Object[]|Object} dataArray - Internal records, or a GeoJSON object.
+   * @param {Object} [options] - Output options:
+   *                             - name: a name for the GPX file's metadata.
+   *                             - creator: the `creator` attribute (default: "GeoWKTer").
+   *                             - polygonMode: "error" (default) throws on the first polygon,
+   *                               "skip" leaves polygons out, and "track" writes each polygon
+   *                               as a track with a segment per ring.
+   *                             - transform: the reprojection to apply instead of the default,
+   *                               e.g. `{from: 2234}` for records read without their SRID.
+   *                             - linearize, precision, simplify: as for `toWKT`.
+   * @returns {string} - The GPX document.
+   * @throws {Error} - Throws if `polygonMode` is not supported, or is "error" and a record
+   *                   holds a polygon, or a record's SRID has no registered projection.
+   ****************************************/
+  GeoWKTer.prototype.toGPX = function (dataArray, options = {}) {
+    const records = Array.isArray(dataArray) ? dataArray : this.fromGeoJSON(dataArray);
+    const polygonMode = options.polygonMode || "error";
+    if (!["error", "skip", "track"].includes(polygonMode)) {
+      throw new Error(`Unsupported polygonMode: ${polygonMode}`);
+    }
+
+    const creator = options.creator !== undefined ? options.creator : "GeoWKTer";
+    const number = (value) => this.formatNumber(value, options.precision);
+    const waypoints = [];
+    const tracks = [];
+
+    // GPX requires its elements in schema order, so each list is written in that order
+    const elements = (properties, keys) =>
+      keys
+        .filter((key) => properties[key] !== undefined && properties[key] !== null)
+        .map((key) => `<${key}>${this.escapeXML(this.propertyText(properties[key]))}</${key}>`)
+        .join("");
+
+    records.forEach((record, index) => {
+      const geometry = this.prepareGeographicOutput(record, options);
+      const parts = this.gpxParts(geometry, polygonMode, index);
+      const properties = Object.assign({}, record.properties);
+      if (record.label !== undefined && record.label !== "") {
+        properties.name = record.label;
+      }
+
+      parts.points.forEach(({ position, hasZ }) => {
+        const ele = hasZ ? `<ele>${number(position[2])}</ele>` : "";
+        const fields = elements(properties, ["time", "name", "cmt", "desc", "src", "sym", "type"]);
+        waypoints.push(`  <wpt lat="${number(position[1])}" lon="${number(position[0])}">${ele}${fields}</wpt>`);
+      });
+
+      if (parts.segments.length) {
+        tracks.push(`  <trk>${elements(properties, ["name", "cmt", "desc", "src", "type"])}`);
+        parts.segments.forEach(({ positions, hasZ }) => {
+          tracks.push("    <trkseg>");
+          positions.forEach((position) => {
+            const ele = hasZ ? `<ele>${number(position[2])}</ele>` : "";
+            tracks.push(`      <trkpt lat="${number(position[1])}" lon="${number(position[0])}">${ele}</trkpt>`);
+          });
+          tracks.push("    </trkseg>");
+        });
+        tracks.push("  </trk>");
+      }
+    });
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<gpx version="1.1" creator="${this.escapeXML(creator)}" xmlns="http://www.topografix.com/GPX/1/1">`,
+    ];
+    if (options.name !== undefined) {
+      lines.push(`  <metadata><name>${this.escapeXML(options.name)}</name></metadata>`);
+    }
+    return lines.concat(waypoints, tracks, "</gpx>").join("\n");
+  };
+
+  /***************************************
+   * Collect the Waypoints and Track Segments of a Geometry
+   * @param {Object} geometry - An internal record or GEOMETRYCOLLECTION member.
+   * @param {string} polygonMode - The resolved `toGPX` option.
+   * @param {number} index - The record's index, for error messages.
+   * @returns {Object} - `{points, segments}`: lists of `{position, hasZ}` and
+   *                     `{positions, hasZ}`, with EMPTY parts left out.
+   * @throws {Error} - Throws if the geometry holds a polygon and `polygonMode` is "error".
+   ****************************************/
+  GeoWKTer.prototype.gpxParts = function (geometry, polygonMode, index) {
+    const type = this.baseType(geometry.type);
+    const data = geometry.components || geometry.coordinates || geometry.geometries;
+    const parts = { points: [], segments: [] };
+
+    if (type === "GEOMETRYCOLLECTION") {
+      data.forEach((member) => {
+        const memberParts = this.gpxParts(member, polygonMode, index);
+        // One at a time, since push(...) overflows the call stack for a large MULTIPOINT
+        memberParts.points.forEach((point) => parts.points.push(point));
+        memberParts.segments.forEach((segment) => parts.segments.push(segment));
+      });
+      return parts;
+    }
+
+    const hasZ = this.dimensionKeyword(geometry).includes("Z");
+    const addPoints = (positions) => {
+      positions.filter((position) => position.length).forEach((position) => parts.points.push({ position, hasZ }));
+    };
+    const addSegments = (lines) => {
+      lines.filter((line) => line.length).forEach((positions) => parts.segments.push({ positions, hasZ }));
+    };
+    const addPolygons = (polygons) => {
+      if (polygonMode === "error" && !this.isEmptyCoordinates(polygons)) {
+        const name = geometry.type.toUpperCase();
+        throw new Error(`GPX has no polygon type: record ${index} is a ${name}; set polygonMode to "skip" or "track"`);
+      }
+      if (polygonMode === "track") {
+        polygons.forEach(addSegments);
+      }
+    };
+
+    switch (type) {
+      case "POINT":
+        addPoints([data]);
+        break;
+      case "MULTIPOINT":
+        addPoints(data);
+        break;
+      case "LINESTRING":
+        addSegments([data]);
+        break;
+      case "MULTILINESTRING":
+        addSegments(data);
+        break;
+      case "POLYGON":
+      case "TRIANGLE":
+        addPolygons([data]);
+        break;
+      case "MULTIPOLYGON":
+      case "TIN":
+      case "POLYHEDRALSURFACE":
+        addPolygons(data);
+        break;
+      default:
+        throw new Error(`Unsupported GPX type: ${type}`);
+    }
+    return parts;
+  };
+
+  /***************************************
+   * Prepare a Record for Longitude/Latitude Output
+   * Applies `prepareOutput`, reprojecting a record with an SRID other than
+   * EPSG:4326 to it unless `options.transform` says otherwise.
+   *
+   * @param {Object} record - An internal record.
+   * @param {Object} [options] - The writer's options.
+   * @returns {Object} - The record to write.
+   * @throws {Error} - Throws if the record's SRID has no registered projection.
+   ****************************************/
+  GeoWKTer.prototype.prepareGeographicOutput = function (record, options = {}) {
+    const projected = record.srid !== undefined && record.srid !== 4326;
+    const transform = options.transform !== undefined ? options.transform : projected ? 4326 : undefined;
+    return this.prepareOutput(record, Object.assign({}, options, { transform }));
+  };
+
+  /***************************************
+   * Write a Property Value as Text
+   * @param {*} value - The property value.
+   * @returns {string} - Strings and numbers as they are, dates in ISO 8601 form,
+   *                     other objects as JSON, and "" for null or undefined.
+   ****************************************/
+  GeoWKTer.prototype.propertyText = function (value) {
+    if (value === null || value === undefined) return "";
+    if (value instanceof Date) return value.toISOString();
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  };
+
+  /***************************************
+   * Escape Text for XML
+   * Escapes the five XML special characters, so the text is safe in element
+   * content and quoted attributes alike, and removes the control characters
+   * XML 1.0 does not allow at all.
+   *
+   * @param {*} value - The text, or a value to convert to text.
+   * @returns {string} - The escaped text.
+   ****************************************/
+  GeoWKTer.prototype.escapeXML = function (value) {
+    const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+    return String(value)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, "")
+      .replace(/[&<>"']/g, (character) => entities[character]);
+  };
+
+  /***************************************
+   * Reproject a Record
+   * Converts every position of an internal record from one coordinate system
+   * to another, going through geographic WGS 84 longitude/latitude. Z values are
+   * kept as they are. Datum shifts (e.g. NAD83 to WGS 84, about a metre) are not
+   * applied.
+   *
+   * @param {Object} record - The internal record, as produced by `read`.
+   * @param {number|Object} transform - The target SRID, or an object with:
+   *                                    - from: the source SRID (default: the record's
+   *                                      `srid`, or 4326 when it has none).
+   *                                    - to: the target SRID (default: 4326).
+   * @returns {Object} - A new record with reprojected coordinates and `srid` set to the target.
+   * @throws {Error} - Throws if either SRID has no registered projection.
+   ****************************************/
+  GeoWKTer.prototype.transformRecord = function (record, transform) {
+    const settings = typeof transform === "object" ? transform : { to: transform };
+    const from = settings.from !== undefined ? settings.from : record.srid !== undefined ? record.srid : 4326;
+    const to = settings.to !== undefined ? settings.to : 4326;
+    const source = this.findProjection(from);
+    const target = this.findProjection(to);
+
+    // Project one position, keeping any Z (or M) values after X and Y
+    const project = (position) => {
+      if (from === to) return position.slice();
+      const [lon, lat] = source.inverse(position[0], position[1]);
+      return target.forward(lon, lat).concat(position.slice(2));
+    };
+
+    return Object.assign(this.mapGeometryPositions(record, project), { srid: to });
+  };
+
+  /***************************************
+   * Look Up a Registered Projection
+   * @param {number} srid - The EPSG code.
+   * @returns {Object} - The projection's `forward` and `inverse` functions.
+   * @throws {Error} - Throws if no projection is registered for the code.
+   ****************************************/
+  GeoWKTer.prototype.findProjection = function (srid) {
+    const projection = projections[srid];
+    if (!projection) {
+      throw new Error(`Unknown projection: EPSG:${srid}; add it with GeoWKTer.registerProjection`);
+    }
+    return projection;
+  };
+
+  /***************************************
+   * Create a Projection from Its Parameters
+   * Builds the forward (longitude/latitude to X/Y) and inverse functions for
+   * a map projection. The ellipsoidal formulas are those of EPSG Guidance Note
+   * 7-2 (Lambert Conformal Conic) and Karney's Krüger series (Transverse Mercator),
+   * both accurate to well under a millimetre within a zone.
+   *
+   * @param {Object} definition - Either `forward(lon, lat)` and `inverse(x, y)` functions
+   *                              returning `[x, y]` and `[lon, lat]`, or:
+   *                              - projection: "longlat", "merc" (spherical Web Mercator),
+   *                                "tmerc" (Transverse Mercator) or "lcc" (Lambert Conformal
+   *                                Conic with two standard parallels).
+   *                              - lat0, lon0: latitude and longitude of origin, in degrees.
+   *                              - lat1, lat2: standard parallels for "lcc", in degrees.
+   *                              - k0: scale factor on the central meridian for "tmerc" (default: 1).
+   *                              - x0, y0: false easting and northing, in metres (default: 0).
+   *                              - units: "m" (default), "ft", "ftUS", or metres per unit.
+   *                              - a, rf: ellipsoid semi-major axis in metres and inverse
+   *                                flattening (default: GRS 1980).
+   * @returns {Object} - An object with the `forward` and `inverse` functions.
+   * @throws {Error} - Throws if the projection is not supported.
+   ****************************************/
+  function createProjection(definition) {
+    if (typeof definition.forward === "function" && typeof definition.inverse === "function") {
+      return { forward: definition.forward, inverse: definition.inverse };
+    }
+
+    const unitScales = { m: 1, ft: 0.3048, ftUS: 1200 / 3937 };
+    const toMetres = typeof definition.units === "number" ? definition.units : unitScales[definition.units || "m"];
+    if (!toMetres) {
+      throw new Error(`Unsupported projection units: ${definition.units}`);
+    }
+
+    const radians = Math.PI / 180;
+    const a = definition.a || 6378137;
+    const f = 1 / (definition.rf || 298.257222101);
+    const e = Math.sqrt(f * (2 - f)); // First eccentricity
+    const lat0 = (definition.lat0 || 0) * radians;
+    const lon0 = (definition.lon0 || 0) * radians;
+    const x0 = definition.x0 || 0;
+    const y0 = definition.y0 || 0;
+
+    // Wrap a longitude difference into -π..π
+    const wrap = (lambda) => Math.atan2(Math.sin(lambda), Math.cos(lambda));
+
+    // Build the projection in metres, then wrap it to apply the false origin and units
+    let metric;
+    switch (definition.projection) {
+      case "longlat":
+        return { forward: (lon, lat) => [lon, lat], inverse: (x, y) => [x, y] };
+
+      case "merc": {
+        const maxLat = 85.0511287798066; // Latitude at which Web Mercator's map is square
+        metric = {
+          forward: (lon, lat) => {
+            const phi = Math.max(-maxLat, Math.min(maxLat, lat)) * radians;
+            return [a * wrap(lon * radians - lon0), a * Math.atanh(Math.sin(phi))];
+          },
+          inverse: (x, y) => [(lon0 + x / a) / radians, (Math.PI / 2 - 2 * Math.atan(Math.exp(-y / a))) / radians],
+        };
+        break;
+      }
+
+      case "tmerc": {
+        const k0 = definition.k0 || 1;
+        const n = f / (2 - f);
+        const n2 = n * n;
+        const n3 = n2 * n;
+        const n4 = n3 * n;
+        const A = (a / (1 + n)) * (1 + n2 / 4 + n4 / 64); // Rectifying radius
+        const alpha = [
+          n / 2 - (2 * n2) / 3 + (5 * n3) / 16 + (41 * n4) / 180,
+          (13 * n2) / 48 - (3 * n3) / 5 + (557 * n4) / 1440,
+          (61 * n3) / 240 - (103 * n4) / 140,
+          (49561 * n4) / 161280,
+        ];
+        const beta = [
+          n / 2 - (2 * n2) / 3 + (37 * n3) / 96 - n4 / 360,
+          n2 / 48 + n3 / 15 - (437 * n4) / 1440,
+          (17 * n3) / 480 - (37 * n4) / 840,
+          (4397 * n4) / 161280,
+        ];
+        const delta = [
+          2 * n - (2 * n2) / 3 - 2 * n3 + (116 * n4) / 45,
+          (7 * n2) / 3 - (8 * n3) / 5 - (227 * n4) / 45,
+          (56 * n3) / 15 - (136 * n4) / 35,
+          (4279 * n4) / 630,
+        ];
+
+        // Gauss-Krüger coordinates (ξ, η) of a point, as multiples of A
+        const gaussKruger = (phi, lambda) => {
+          const sinPhi = Math.sin(phi);
+          const t = Math.sinh(Math.atanh(sinPhi) - e * Math.atanh(e * sinPhi));
+          const xiPrime = Math.atan2(t, Math.cos(lambda));
+          const etaPrime = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+          return alpha.reduce(
+            ([xi, eta], coefficient, j) => [
+              xi + coefficient * Math.sin(2 * (j + 1) * xiPrime) * Math.cosh(2 * (j + 1) * etaPrime),
+              eta + coefficient * Math.cos(2 * (j + 1) * xiPrime) * Math.sinh(2 * (j + 1) * etaPrime),
+            ],
+            [xiPrime, etaPrime]
+          );
+        };
+        const xiOrigin = gaussKruger(lat0, 0)[0];
+
+        metric = {
+          forward: (lon, lat) => {
+            const [xi, eta] = gaussKruger(lat * radians, wrap(lon * radians - lon0));
+            return [k0 * A * eta, k0 * A * (xi - xiOrigin)];
+          },
+          inverse: (x, y) => {
+            const xi = y / (k0 * A) + xiOrigin;
+            const eta = x / (k0 * A);
+            const [xiPrime, etaPrime] = beta.reduce(
+              ([xiP, etaP], coefficient, j) => [
+                xiP - coefficient * Math.sin(2 * (j + 1) * xi) * Math.cosh(2 * (j + 1) * eta),
+                etaP - coefficient * Math.cos(2 * (j + 1) * xi) * Math.sinh(2 * (j + 1) * eta),
+              ],
+              [xi, eta]
+            );
+            const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime)); // Conformal latitude
+            const phi = delta.reduce((sum, coefficient, j) => sum + coefficient * Math.sin(2 * (j + 1) * chi), chi);
+            return [(lon0 + Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime))) / radians, phi / radians];
+          },
+        };
+        break;
+      }
+
+      case "lcc": {
+        const m = (phi) => Math.cos(phi) / Math.sqrt(1 - e * e * Math.sin(phi) ** 2);
+        const t = (phi) =>
+          Math.tan(Math.PI / 4 - phi / 2) / ((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi))) ** (e / 2);
+        const lat1 = definition.lat1 * radians;
+        const lat2 = (definition.lat2 !== undefined ? definition.lat2 : definition.lat1) * radians;
+        const n =
+          lat1 === lat2
+            ? Math.sin(lat1)
+            : (Math.log(m(lat1)) - Math.log(m(lat2))) / (Math.log(t(lat1)) - Math.log(t(lat2)));
+        const F = m(lat1) / (n * t(lat1) ** n);
+        const rho0 = a * F * t(lat0) ** n;
+
+        metric = {
+          forward: (lon, lat) => {
+            const rho = a * F * t(lat * radians) ** n;
+            const theta = n * wrap(lon * radians - lon0);
+            return [rho * Math.sin(theta), rho0 - rho * Math.cos(theta)];
+          },
+          inverse: (x, y) => {
+            const sign = Math.sign(n);
+            const rho = sign * Math.sqrt(x * x + (rho0 - y) ** 2);
+            const tPrime = (rho / (a * F)) ** (1 / n);
+            const theta = Math.atan2(sign * x, sign * (rho0 - y));
+
+            // Solve for latitude by iteration; a few rounds reach full precision
+            let phi = Math.PI / 2 - 2 * Math.atan(tPrime);
+            for (let i = 0; i < 10; i++) {
+              const sinPhi = e * Math.sin(phi);
+              const next = Math.PI / 2 - 2 * Math.atan(tPrime * ((1 - sinPhi) / (1 + sinPhi)) ** (e / 2));
+              if (Math.abs(next - phi) < 1e-14) break;
+              phi = next;
+            }
+            return [(theta / n + lon0) / radians, phi / radians];
+          },
+        };
+        break;
+      }
+
+      default:
+        throw new Error(`Unsupported projection: ${definition.projection}`);
+    }
+
+    return {
+      forward: (lon, lat) => {
+        const [x, y] = metric.forward(lon, lat);
+        return [(x + x0) / toMetres, (y + y0) / toMetres];
+      },
+      inverse: (x, y) => metric.inverse(x * toMetres - x0, y * toMetres - y0),
+    };
+  }
+
+  /***************************************
+   * Geometry Type Registry
+   * Keyed by WKT type name. The built-in types are registered below in the
+   * same way as any added with `GeoWKTer.registerType`; types registered on an
+   * instance (see `registerType`) take precedence for that instance.
+   ****************************************/
+  const geometryTypes = {};
+
+  // The built-in types whose coordinates the other stages (validation, WKB, KML, ...) know how to handle
+  const baseTypes = [
+    "POINT",
+    "LINESTRING",
+    "POLYGON",
+    "MULTIPOINT",
+    "MULTILINESTRING",
+    "MULTIPOLYGON",
+    "TRIANGLE",
+    "TIN",
+    "POLYHEDRALSURFACE",
+    "GEOMETRYCOLLECTION",
+  ];
+
+  // Check a type definition, merge it over the type's current one and store it in the registry
+  function defineType(registry, name, definition, lookup) {
+    if (typeof name !== "string" || !/^[A-Z_]\w*$/i.test(name) || /^(Z|M|ZM|EMPTY|SRID)$/i.test(name)) {
+      throw new Error(`Invalid geometry type name: ${name}`);
+    }
+    const type = name.toUpperCase();
+    if (!definition || typeof definition !== "object") {
+      throw new Error(`Invalid definition for geometry type ${type}`);
+    }
+    const merged = Object.assign({}, lookup(type), definition);
+    if (merged.baseType !== undefined) {
+      const base = typeof merged.baseType === "string" ? merged.baseType.toUpperCase() : merged.baseType;
+      const allowed = baseTypes.includes(type) ? [type] : baseTypes.filter((other) => other !== "GEOMETRYCOLLECTION");
+      if (!allowed.includes(base)) {
+        throw new Error(`Unsupported baseType for geometry type ${type}: ${merged.baseType}`);
+      }
+      merged.baseType = base;
+    }
+    if (typeof merged.parse !== "function" && merged.baseType === undefined) {
+      throw new Error(`Geometry type ${type} needs a parse function or a baseType`);
+    }
+    if (merged.wkbCode !== undefined) {
+      if (merged.baseType === undefined) {
+        throw new Error(`Geometry type ${type} needs a baseType to have a wkbCode`);
+      }
+      if (!Number.isInteger(merged.wkbCode) || merged.wkbCode < 1 || merged.wkbCode > 999) {
+        throw new Error(`The wkbCode of geometry type ${type} must be an integer from 1 to 999`);
+      }
+      const clash = Object.keys(registry).find((other) => other !== type && registry[other].wkbCode === merged.wkbCode);
+      if (clash) {
+        throw new Error(`Geometry types ${type} and ${clash} cannot share wkbCode ${merged.wkbCode}`);
+      }
+    }
+    if (merged.write !== undefined && typeof merged.write !== "function") {
+      throw new Error(`The write option of geometry type ${type} must be a function`);
+    }
+    if (merged.toGeoJSON !== undefined && !["string", "function"].includes(typeof merged.toGeoJSON)) {
+      throw new Error(`The toGeoJSON option of geometry type ${type} must be a GeoJSON type name or a function`);
+    }
+    registry[type] = merged;
+  }
+
+  /***************************************
+   * Register a Geometry Type
+   * Adds a WKT geometry type, or changes how an existing one is handled, for
+   * all GeoWKTer instances. A definition for a type that is already registered
+   * is merged over the current one, so it may give only the functions it
+   * changes. Each function is called with the GeoWKTer instance as `this`.
+   *
+   * Reading, `toGeoJSON` and `toWKT` use the type's own handlers. The other
+   * methods (validation, simplification, WKB, KML, GPX, Esri JSON,
+   * measurements, ...) handle a geometry of the type as its `baseType`, and
+   * report or reject a type without one. A type whose `parse` returns a
+   * built-in `type` is stored as that type instead.
+   *
+   * @param {string} name - The WKT type name, matched case-insensitively.
+   * @param {Object} definition - The type's handlers:
+   *   - `parse(tokenizer, context)`: Reads the text after the type and its dimension
+   *     keyword. `context` holds `type`, `declared` (the dimension keyword), `size`
+   *     and the read `options`. Returns the coordinates, `{type, coordinates, ...}`
+   *     to read the geometry as another type (other keys are kept on the record),
+   *     or `{geometries}` for a GEOMETRYCOLLECTION. Required for a new type without
+   *     a `baseType`.
+   *   - `toGeoJSON`: The GeoJSON type name for the coordinates, or a function
+   *     `(geometry, data)` returning the GeoJSON geometry for an internal geometry,
+   *     given its coordinates (or members) as `data`.
+   *   - `write(coordinates, settings, level)`: Returns the WKT text after the type
+   *     and dimension keyword, with any kept M values merged into the vertices.
+   *   - `baseType`: The built-in type (other than GEOMETRYCOLLECTION) whose coordinate
+   *     layout the type shares. Handlers the definition leaves out are taken from it,
+   *     so a definition may give only a `baseType`.
+   *   - `wkbCode`: The WKB geometry type code (1 to 999) to write and read the type
+   *     with. Without one, the type is written with its base type's code, and so
+   *     reads back as the base type.
+   * @throws {Error} - Throws if the name or the definition is not supported.
+   ****************************************/
+  GeoWKTer.registerType = function (name, definition) {
+    defineType(geometryTypes, name, definition, (type) => geometryTypes[type]);
+  };
+
+  // Write the coordinates as nested parenthesized lists
+  const writeCoordinateText = function (coordinates, settings, level) {
+    return this.writeCoordinateList(coordinates, settings, level);
+  };
+  [
+    ["POINT", "readPointText", "Point"],
+    ["LINESTRING", "readLineStringText", "LineString"],
+    ["POLYGON", "readPolygonText", "Polygon"],
+    ["MULTIPOINT", "readMultiPointText", "MultiPoint"],
+    ["MULTILINESTRING", "readMultiLineStringText", "MultiLineString"],
+    ["MULTIPOLYGON", "readMultiPolygonText", "MultiPolygon"],
+    ["TRIANGLE", "readTriangleText", "Polygon"],
+    ["TIN", "readTINText", "MultiPolygon"],
+    ["POLYHEDRALSURFACE", "readPolyhedralSurfaceText", "MultiPolygon"],
+  ].forEach(([name, reader, geoJSONType]) => {
+    GeoWKTer.registerType(name, {
+      parse(tokenizer, context) {
+        return this[reader](tokenizer, context);
+      },
+      toGeoJSON: geoJSONType,
+      write: writeCoordinateText,
+      baseType: name,
+    });
+  });
+  GeoWKTer.registerType("POINT", {
+    write(coordinates, settings, level) {
+      return this.writeCoordinateList([coordinates], settings, level);
+    },
+  });
+  GeoWKTer.registerType("MULTIPOINT", {
+    write(coordinates, settings, level) {
+      // Each point is wrapped in its own parentheses, as the OGC specification recommends
+      const points = coordinates.map((point) => (point.length ? [point] : point));
+      return this.writeCoordinateList(points, settings, level);
+    },
+  });
+  GeoWKTer.registerType("GEOMETRYCOLLECTION", {
+    parse(tokenizer, context) {
+      return { geometries: this.readGeometryCollectionText(tokenizer, context.options, context.declared) };
+    },
+    toGeoJSON: "GeometryCollection",
+    write(geometries, settings, level) {
+      const members = geometries.map((member) => this.writeGeometry(member, settings, level + 1));
+      return this.joinWKTList(members, settings, level);
+    },
+    baseType: "GEOMETRYCOLLECTION",
+  });
+
+  // The WKB codes of ISO 13249 and PostGIS
+  [
+    ["POINT", 1],
+    ["LINESTRING", 2],
+    ["POLYGON", 3],
+    ["MULTIPOINT", 4],
+    ["MULTILINESTRING", 5],
+    ["MULTIPOLYGON", 6],
+    ["GEOMETRYCOLLECTION", 7],
+    ["POLYHEDRALSURFACE", 15],
+    ["TIN", 16],
+    ["TRIANGLE", 17],
+  ].forEach(([name, wkbCode]) => GeoWKTer.registerType(name, { wkbCode }));
+
+  // Curves are linearized, and their definition kept so they can be written back out
+  [
+    ["CIRCULARSTRING", "LINESTRING"],
+    ["COMPOUNDCURVE", "LINESTRING"],
+    ["CURVEPOLYGON", "POLYGON"],
+    ["MULTICURVE", "MULTILINESTRING"],
+    ["MULTISURFACE", "MULTIPOLYGON"],
+  ].forEach(([name, linearType]) => {
+    GeoWKTer.registerType(name, {
+      parse(tokenizer, context) {
+        const curve = this.readCurveText(tokenizer, name, context);
+        const coordinates = this.linearizeCurve(curve, this.linearizeSettings(context.options.linearize));
+        return { type: linearType, coordinates, curve };
+      },
+    });
+  });
+
+  /***************************************
+   * Built-in Projections
+   * Keyed by EPSG code. Geographic NAD83 (4269) is treated as WGS 84. State
+   * Plane zones use the NAD83 parameters of the US National Geodetic Survey.
+   ****************************************/
+  const projections = {
+    4326: createProjection({ projection: "longlat" }),
+    4269: createProjection({ projection: "longlat" }),
+    3857: createProjection({ projection: "merc" }),
+    900913: createProjection({ projection: "merc" }),
+  };
+
+  // UTM zones 1 to 60 on WGS 84, north (326xx) and south (327xx), and on NAD83 (269xx, zones 1 to 23)
+  for (let zone = 1; zone <= 60; zone++) {
+    const utm = { projection: "tmerc", lon0: zone * 6 - 183, k0: 0.9996, x0: 500000 };
+    projections[32600 + zone] = createProjection(Object.assign({ rf: 298.257223563 }, utm));
+    projections[32700 + zone] = createProjection(Object.assign({ rf: 298.257223563, y0: 10000000 }, utm));
+    if (zone <= 23) projections[26900 + zone] = createProjection(utm);
+  }
+
+  // State Plane zones around southern New England, in metres and US survey feet
+  const statePlaneZones = [
+    // Connecticut
+    {
+      srids: [26956, 2234],
+      projection: "lcc",
+      lat1: 41 + 52 / 60,
+      lat2: 41 + 12 / 60,
+      lat0: 40 + 50 / 60,
+      lon0: -(72 + 45 / 60),
+      x0: 304800.6096,
+      y0: 152400.3048,
+    },
+    // Massachusetts Mainland
+    {
+      srids: [26986, 2249],
+      projection: "lcc",
+      lat1: 42 + 41 / 60,
+      lat2: 41 + 43 / 60,
+      lat0: 41,
+      lon0: -71.5,
+      x0: 200000,
+      y0: 750000,
+    },
+    // Rhode Island
+    {
+      srids: [32130, 3438],
+      projection: "tmerc",
+      lat0: 41 + 5 / 60,
+      lon0: -71.5,
+      k0: 0.99999375,
+      x0: 100000,
+    },
+    // New York East
+    {
+      srids: [32115, 2260],
+      projection: "tmerc",
+      lat0: 38 + 50 / 60,
+      lon0: -74.5,
+      k0: 0.9999,
+      x0: 150000,
+    },
+    // New York Long Island
+    {
+      srids: [32118, 2263],
+      projection: "lcc",
+      lat1: 41 + 2 / 60,
+      lat2: 40 + 40 / 60,
+      lat0: 40 + 10 / 60,
+      lon0: -74,
+      x0: 300000,
+    },
+  ];
+  statePlaneZones.forEach(({ srids, ...parameters }) => {
+    projections[srids[0]] = createProjection(parameters);
+    projections[srids[1]] = createProjection(Object.assign({ units: "ftUS" }, parameters));
+  });
+
+  /***************************************
+   * Register a Projection
+   * Adds (or replaces) the projection used for an EPSG code by the `transform`
+   * options of `read` and `toGeoJSON`. All GeoWKTer instances share the registry.
+   *
+   * @param {number} srid - The EPSG code.
+   * @param {Object} definition - The projection's parameters or functions; see `createProjection`.
+   * @throws {Error} - Throws if the definition is not supported.
+   ****************************************/
+  GeoWKTer.registerProjection = function (srid, definition) {
+    projections[srid] = createProjection(definition);
+  };
+
+  // Expose the error types so callers can test for them with `instanceof`
+  GeoWKTer.WKTParseError = WKTParseError;
+  GeoWKTer.GeometryValidationError = GeometryValidationError;
+
+  return GeoWKTer;
+})();
+
+// Export the constructor for Node (see GeoWKTerCLI.js); as a userscript it stays a global
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GeoWKTer;
+}
@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+/***************************************
+ * GeoWKTer Command-Line Converter
+ * Converts WKT files to GeoJSON, or GeoJSON files back to WKT with `--reverse`,
+ * using the GeoWKTer library in the same directory. Inputs are files,
+ * directories (every .wkt or .txt file in them, or .geojson and .json with
+ * `--reverse`) and glob patterns; with none, or "-", standard input is read.
+ *
+ * Every record is converted on its own, so one bad record does not hide the
+ * others: each failure is reported on standard error with its input and
+ * record number. The exit code is 0 on success, 1 when any record failed
+ * (with `--errors skip` too, though the rest are still written) and 2 for
+ * bad arguments or unreadable inputs.
+ *
+ * Example:
+ *   node GeoWKTerCLI.js parcels.wkt --label Parcels --pretty -o parcels.geojson
+ *   node GeoWKTerCLI.js "exports/*.wkt" --out-dir geojson --errors skip
+ *   cat roads.geojson | node GeoWKTerCLI.js --reverse --precision 6
+ ****************************************/
+const fs = require("fs");
+const path = require("path");
+const GeoWKTer = require("./GeoWKTer.js");
+
+const program = path.basename(__filename); // Prefix for messages
+const usage = `Usage: node ${program} [options] [file | directory | pattern ...]
+
+Converts WKT (one or many records per input) to a GeoJSON FeatureCollection.
+Reads standard input when no input, or "-", is given.
+
+Options:
+  -r, --reverse          Convert GeoJSON to WKT, one record per line
+  -o, --output <file>    Write to a file instead of standard output
+  -d, --out-dir <dir>    Write one output file per input into a directory, keeping
+                         the input's path below the directory or pattern it came from
+  -l, --label <text>     Label (the Name property) for every record
+  -p, --pretty           Pretty-print the GeoJSON (not with --reverse, which keeps one
+                         record per line)
+      --precision <n>    Round coordinates to n decimal places
+      --ewkt             With --reverse, write SRID=n; prefixes for records with a CRS
+  -e, --errors <mode>    "fail" (default): write nothing for an input with a bad record;
+                         "skip": report bad records and write the rest
+  -h, --help             Show this help`;
+
+/***************************************
+ * Parse the Command-Line Arguments
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {Object} - The options, with the inputs in `inputs`.
+ * @throws {Error} - Throws if an option is unknown, is missing its value or does not go with another.
+ ****************************************/
+function parseArguments(argv) {
+  const options = { inputs: [], errors: "fail", reverse: false, pretty: false, ewkt: false, help: false };
+  const flags = { "-r": "reverse", "--reverse": "reverse", "-p": "pretty", "--pretty": "pretty" };
+  Object.assign(flags, { "--ewkt": "ewkt", "-h": "help", "--help": "help" });
+  const valued = { "-o": "output", "--output": "output", "-d": "outDir", "--out-dir": "outDir" };
+  Object.assign(valued, { "-l": "label", "--label": "label", "-e": "errors", "--errors": "errors" });
+  valued["--precision"] = "precision";
+
+  for (let i = 0; i < argv.length; i++) {
+    const [name, inline] = argv[i].startsWith("--") ? argv[i].split(/=(.*)/s) : [argv[i]];
+    if (name === "--") {
+      options.inputs.push(...argv.slice(i + 1));
+      break;
+    } else if (flags[name] && inline === undefined) {
+      options[flags[name]] = true;
+    } else if (valued[name]) {
+      const value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined) {
+        throw new Error(`Option ${name} needs a value`);
+      }
+      options[valued[name]] = value;
+    } else if (name.startsWith("-") && name !== "-") {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    } else {
+      options.inputs.push(name);
+    }
+  }
+
+  if (!["fail", "skip"].includes(options.errors)) {
+    throw new Error(`Unsupported --errors mode: ${options.errors}`);
+  }
+  if (options.precision !== undefined) {
+    if (!/^\d+$/.test(options.precision)) {
+      throw new Error(`Invalid --precision: ${options.precision}`);
+    }
+    options.precision = Number(options.precision);
+  }
+  if (options.output !== undefined && options.outDir !== undefined) {
+    throw new Error("Use either --output or --out-dir, not both");
+  }
+  if (options.reverse && options.pretty) {
+    throw new Error("--pretty cannot be used with --reverse, which writes one record per line");
+  }
+  return options;
+}
+
+/***************************************
+ * Convert a Glob Pattern to a Regular Expression
+ * Supports `*` and `?` within one path segment, and `**` for any number of
+ * directories.
+ *
+ * @param {string} pattern - The pattern, with "/" separating directories.
+ * @returns {RegExp} - An expression matching the whole path.
+ ****************************************/
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const character = pattern[i];
+    if (pattern.startsWith("**/", i)) {
+      source += "(?:.*/)?";
+      i += 2;
+    } else if (pattern.startsWith("**", i)) {
+      source += ".*";
+      i += 1;
+    } else if (character === "*") {
+      source += "[^/]*";
+    } else if (character === "?") {
+      source += "[^/]";
+    } else {
+      source += character.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/***************************************
+ * List the Files Below a Directory
+ * @param {string} directory - The directory to walk.
+ * @param {number} depth - How many levels of directories to read; 1 lists only `directory`.
+ * @returns {string[]} - The files' paths, sorted.
+ ****************************************/
+function walkFiles(directory, depth) {
+  return fs
+    .readdirSync(directory, { withFileTypes: true })
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+    .reduce((files, entry) => {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) return depth > 1 ? files.concat(walkFiles(entryPath, depth - 1)) : files;
+      return entry.isFile() ? files.concat(entryPath) : files;
+    }, []);
+}
+
+/***************************************
+ * Expand the Inputs into File Paths
+ * Directories contribute their files with one of `extensions`, and glob
+ * patterns every matching file. Shells usually expand patterns themselves;
+ * quoting one (as scripts and Windows need) lets this function do it.
+ *
+ * @param {string[]} inputs - Files, directories, patterns, or "-" for standard input.
+ * @param {string[]} extensions - The extensions, in lower case, to take from directories.
+ * @returns {Object[]} - One `{file, relative}` per path to read, where `file` is "-" for
+ *                       standard input and `relative` is the path below the directory or
+ *                       pattern base it came from (the file name, for a file input).
+ * @throws {Error} - Throws if an input does not exist or a pattern matches nothing.
+ ****************************************/
+function expandInputs(inputs, extensions) {
+  return inputs.reduce((files, input) => {
+    if (input === "-") return files.concat({ file: input, relative: input });
+
+    if (/[*?]/.test(input)) {
+      const pattern = input.split(path.sep).join("/");
+      const segments = pattern.split("/");
+      const fixed = segments.slice(0, segments.findIndex((segment) => /[*?]/.test(segment)));
+      const base = fixed.length ? fixed.join("/") || "/" : ".";
+      const matcher = globToRegExp(pattern);
+      const depth = pattern.includes("**") ? Infinity : segments.length - fixed.length;
+      const matches = fs.existsSync(base)
+        ? walkFiles(base, depth).filter((file) => {
+            const relative = path.relative(base, file).split(path.sep).join("/");
+            return matcher.test(fixed.length ? `${fixed.join("/")}/${relative}` : relative);
+          })
+        : [];
+      if (!matches.length) {
+        throw new Error(`No files match ${input}`);
+      }
+      return files.concat(matches.map((file) => ({ file, relative: path.relative(base, file) })));
+    }
+
+    const stats = fs.statSync(input);
+    if (stats.isDirectory()) {
+      const names = fs.readdirSync(input).sort();
+      return files.concat(
+        names
+          .filter((name) => extensions.includes(path.extname(name).toLowerCase()))
+          .map((name) => ({ file: path.join(input, name), relative: name }))
+      );
+    }
+    return files.concat({ file: input, relative: path.basename(input) });
+  }, []);
+}
+
+/***************************************
+ * Name the Output File of Each Input for --out-dir
+ * @param {Object[]} inputs - The `expandInputs` entries.
+ * @param {string} outDir - The output directory.
+ * @param {string} extension - The output extension, with its dot.
+ * @returns {string[]} - The output paths, in input order.
+ * @throws {Error} - Throws if two inputs would be written to the same file.
+ ****************************************/
+function outputPaths(inputs, outDir, extension) {
+  const owners = {};
+  return inputs.map(({ file, relative }) => {
+    const name = `${path.basename(relative, path.extname(relative))}${extension}`;
+    const output = path.join(outDir, path.dirname(relative), name);
+    if (owners[output] !== undefined && owners[output] !== file) {
+      throw new Error(`${owners[output]} and ${file} would both be written to ${output}`);
+    }
+    owners[output] = file;
+    return output;
+  });
+}
+
+/***************************************
+ * Convert One Input's Text
+ * @param {GeoWKTer} geoWKTer - The converter.
+ * @param {string} text - The input text: WKT records, or GeoJSON with `--reverse`.
+ * @param {string} name - The input's name, for diagnostics.
+ * @param {Object} options - The parsed command-line options.
+ * @returns {Object} - `{records, wkt, diagnostics}`: the internal records read from WKT,
+ *                     or the WKT strings written from GeoJSON, and one message per bad record.
+ ****************************************/
+function convertText(geoWKTer, text, name, options) {
+  if (!options.reverse) {
+    const { records, errors } = geoWKTer.readMany(text, options.label);
+    const diagnostics = errors.map((error) => `${name}: record ${error.index + 1}: ${error.message}`);
+    return { records, diagnostics };
+  }
+
+  let geoJSON;
+  try {
+    geoJSON = JSON.parse(text);
+  } catch (error) {
+    return { wkt: [], diagnostics: [`${name}: Invalid JSON: ${error.message}`] };
+  }
+
+  // Convert Features one at a time, keeping the collection's crs, so each failure is reported
+  const settings = { precision: options.precision, ewkt: options.ewkt };
+  const single = geoJSON && Array.isArray(geoJSON.features) ? null : [geoJSON];
+  const parts = single || geoJSON.features.map((feature) => Object.assign({}, geoJSON, { features: [feature] }));
+  const wkt = [];
+  const diagnostics = [];
+  parts.forEach((part, index) => {
+    try {
+      wkt.push(...geoWKTer.toWKT(geoWKTer.fromGeoJSON(part, options.label), settings));
+    } catch (error) {
+      diagnostics.push(`${name}: ${single ? "geometry" : `feature ${index + 1}`}: ${error.message}`);
+    }
+  });
+  return { wkt, diagnostics };
+}
+
+/***************************************
+ * Write the Output for a Set of Converted Inputs
+ * @param {GeoWKTer} geoWKTer - The converter.
+ * @param {Object[]} results - The `convertText` results to write together.
+ * @param {Object} options - The parsed command-line options.
+ * @returns {string} - The GeoJSON text, or the WKT lines with `--reverse`.
+ * @throws {Error} - Throws if `toGeoJSON` rejects the records, e.g. for mixed SRIDs.
+ ****************************************/
+function formatOutput(geoWKTer, results, options) {
+  if (options.reverse) {
+    const wkt = results.reduce((lines, result) => lines.concat(result.wkt), []);
+    return wkt.length ? `${wkt.join("\n")}\n` : "";
+  }
+  const records = results.reduce((all, result) => all.concat(result.records), []);
+  const geoJSON = geoWKTer.toGeoJSON(records, { precision: options.precision });
+  return `${JSON.stringify(geoJSON, null, options.pretty ? 2 : undefined)}\n`;
+}
+
+/***************************************
+ * Run the Converter
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {number} - The exit code.
+ ****************************************/
+function main(argv) {
+  let options;
+  let inputs;
+  let outputs; // The output file of each input, with --out-dir
+  try {
+    options = parseArguments(argv);
+    if (options.help) {
+      process.stdout.write(`${usage}\n`);
+      return 0;
+    }
+    const extensions = options.reverse ? [".geojson", ".json"] : [".wkt", ".txt"];
+    inputs = expandInputs(options.inputs.length ? options.inputs : ["-"], extensions);
+    if (options.outDir !== undefined && inputs.some(({ file }) => file === "-")) {
+      throw new Error("--out-dir needs file inputs, not standard input");
+    }
+    if (options.outDir !== undefined) {
+      outputs = outputPaths(inputs, options.outDir, options.reverse ? ".wkt" : ".geojson");
+    }
+  } catch (error) {
+    process.stderr.write(`${program}: ${error.message}\nRun with --help for usage.\n`);
+    return 2;
+  }
+
+  const geoWKTer = new GeoWKTer();
+  const results = [];
+  let status = 0;
+
+  for (const { file } of inputs) {
+    const name = file === "-" ? "<stdin>" : file;
+    let text;
+    try {
+      text = fs.readFileSync(file === "-" ? 0 : file, "utf8");
+    } catch (error) {
+      process.stderr.write(`${program}: ${name}: ${error.message}\n`);
+      return 2;
+    }
+    const result = convertText(geoWKTer, text, name, options);
+    result.diagnostics.forEach((diagnostic) => process.stderr.write(`${diagnostic}\n`));
+    if (result.diagnostics.length) status = 1;
+    results.push(result);
+  }
+
+  // In "fail" mode an input with a bad record is not written; a single output needs every input
+  const writable = (set) => options.errors === "skip" || set.every((result) => !result.diagnostics.length);
+  const write = (set, file) => {
+    if (!writable(set)) return;
+    try {
+      const text = formatOutput(geoWKTer, set, options);
+      if (file === undefined) {
+        process.stdout.write(text);
+      } else {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, text);
+      }
+    } catch (error) {
+      process.stderr.write(`${program}: ${file !== undefined ? `${file}: ` : ""}${error.message}\n`);
+      status = 1;
+    }
+  };
+
+  if (options.outDir !== undefined) {
+    results.forEach((result, index) => write([result], outputs[index]));
+  } else {
+    write(results, options.output);
+  }
+
+  if (options.errors === "fail" && results.some((result) => result.diagnostics.length)) {
+    process.stderr.write(`${program}: some records could not be converted; use --errors skip to write the rest\n`);
+  }
+  return status;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArguments, globToRegExp };
@@ -60,6 +60,22 @@ function runGeoWKTTests(GeoWKTer) {
           )
         )
       )`,
+      `MULTIPOLYGON (
+        (
+          (-73.2 41.2, -72.6 41.2, -72.6 41.8, -73.2 41.8, -73.2 41.2),
+          (-73.0 41.4, -72.8 41.4, -72.8 41.6, -73.0 41.6, -73.0 41.4)
+        ),
+        (
+          (-72.4 41.2, -72.2 41.2, -72.2 41.4, -72.4 41.2)
+        )
+      )`,
+      "point (-7.27e1 4.15E+1)",
+      "SRID=4326;POINT (-72.6734 41.7658)",
+      `LINESTRING Z (
+        -72.9300 41.3100 12.5,
+        -72.7800 41.6700 20.0,
+        -72.6500 41.9100 31.25
+      )`,
       `GEOMETRYCOLLECTION (
         POINT (-72.6734 41.7658),
         LINESTRING (
@@ -74,6 +90,24 @@ function runGeoWKTTests(GeoWKTer) {
           -73.4860 42.0520
         ))
       )`,
+      "POLYGON EMPTY",
+      `GEOMETRYCOLLECTION (
+        POINT (-72.6734 41.7658),
+        GEOMETRYCOLLECTION (
+          LINESTRING (-72.3000 41.3000, -72.8000 41.5000),
+          POINT EMPTY
+        )
+      )`,
+      `CURVEPOLYGON (
+        COMPOUNDCURVE (
+          CIRCULARSTRING (-72.7 41.5, -72.6 41.6, -72.7 41.7),
+          (-72.7 41.7, -72.7 41.5)
+        )
+      )`,
+      `TIN Z (
+        ((-72.7 41.5 10, -72.6 41.5 12, -72.6 41.6 15, -72.7 41.5 10)),
+        ((-72.7 41.5 10, -72.6 41.6 15, -72.7 41.6 11, -72.7 41.5 10))
+      )`,
     ];
   
     testCases.forEach((testCase, index) => {
@@ -87,12 +121,685 @@ function runGeoWKTTests(GeoWKTer) {
         // Convert to GeoJSON
         const geoJSON = geoWKT.toGeoJSON(internalRepresentation);
   
+        // Write the internal representation back out as WKT and check it reads back identically
+        const roundTripWKT = geoWKT.toWKT(internalRepresentation, { ewkt: true })[0];
+        const roundTripMatches = JSON.stringify(geoWKT.read(roundTripWKT, `Sample Label ${index + 1}`)) === JSON.stringify(internalRepresentation);
+  
         // Log all information in one console.log statement
-        console.log(`Test Case ${index + 1}:\nCleaned WKT: ${cleanedWKT}\nInternal Representation: ${JSON.stringify(internalRepresentation, null, 2)}\nGeoJSON Output: ${JSON.stringify(geoJSON, null, 2)}`);
+        console.log(`Test Case ${index + 1}:\nCleaned WKT: ${cleanedWKT}\nInternal Representation: ${JSON.stringify(internalRepresentation, null, 2)}\nGeoJSON Output: ${JSON.stringify(geoJSON, null, 2)}\nWKT Round Trip: ${roundTripWKT} (${roundTripMatches ? "match" : "MISMATCH"})`);
       } catch (error) {
         console.error(`Error processing WKT for Test Case ${index + 1}:`, error.message);
       }
     });
+
+    // Behaviour checks: each runs one API call and compares its result with the expected value
+    const errorMessage = (run) => {
+      try {
+        run();
+        return "no error";
+      } catch (error) {
+        return error.message;
+      }
+    };
+    const behaviourChecks = [
+      {
+        name: "toWKT writes values of 1e21 and more in full",
+        run: () => geoWKT.toWKT(geoWKT.read("POINT (1e21 -2.5e22)"))[0],
+        expected: "POINT(1000000000000000000000 -24999999999999997902848)",
+      },
+      {
+        name: "fromGeoJSON reads a FeatureCollection of 60,000 Features well under two seconds",
+        run: () => {
+          const features = [];
+          for (let i = 0; i < 60000; i++) {
+            features.push({ type: "Feature", properties: {}, geometry: { type: "Point", coordinates: [i / 1000, 1] } });
+          }
+          const start = Date.now();
+          const records = geoWKT.fromGeoJSON({ type: "FeatureCollection", features });
+          return [records.length, records[59999].components, Date.now() - start < 2000];
+        },
+        expected: [60000, [59.999, 1], true],
+      },
+      {
+        name: "toGeoJSON leaves EMPTY holes out of polygons",
+        run: () =>
+          geoWKT
+            .toGeoJSON(geoWKT.read("MULTIPOLYGON(((0 0,1 0,1 1,0 0),EMPTY),((5 5,6 5,6 6,5 5)))"))
+            .features[0].geometry.coordinates.map((polygon) => polygon.length),
+        expected: [1, 1],
+      },
+      {
+        name: "collectionMode preserve keeps a GEOMETRYCOLLECTION as one Feature",
+        run: () => geoWKT.toGeoJSON(geoWKT.read("GEOMETRYCOLLECTION (POINT (1 2), LINESTRING (0 0, 1 1))", "gc"), {
+          collectionMode: "preserve",
+        }).features.map((feature) => feature.geometry.type),
+        expected: ["GeometryCollection"],
+      },
+      {
+        name: "collectionMode merge combines same-kind members into a Multi* Feature",
+        run: () => geoWKT.toGeoJSON(geoWKT.read("GEOMETRYCOLLECTION (POINT (1 2), POINT (3 4))", "gc"), {
+          collectionMode: "merge",
+        }).features.map((feature) => feature.geometry),
+        expected: [{ type: "MultiPoint", coordinates: [[1, 2], [3, 4]] }],
+      },
+      {
+        name: "collectionMode merge handles a MULTIPOINT member of 200,000 points",
+        run: () => {
+          const points = [];
+          for (let i = 0; i < 200000; i++) points.push([i / 1000, 0]);
+          const collection = geoWKT.fromGeoJSON(
+            { type: "GeometryCollection", geometries: [{ type: "MultiPoint", coordinates: points }] },
+            "many points"
+          );
+          return geoWKT.toGeoJSON(collection, { collectionMode: "merge" }).features[0].geometry.coordinates.length;
+        },
+        expected: 200000,
+      },
+      {
+        name: "readMany reports a bad record by index and line and keeps the rest",
+        run: () => {
+          const { records, errors } = geoWKT.readMany("POINT (1 2)\nPOINT (3)\nLINESTRING (0 0, 1 1)", "many");
+          return { types: records.map((record) => record.type), errors: errors.map(({ index, line }) => [index, line]) };
+        },
+        expected: { types: ["POINT", "LINESTRING"], errors: [[1, 2]] },
+      },
+      {
+        name: "readDelimited reports bad and mixed-SRID rows by row number",
+        run: () => {
+          const tsv = "name\tWKT\nA\tSRID=3857;POINT (1 2)\nB\tPOINT (1)\nC\tPOINT (3 4)\nD\tSRID=3857;POINT (5 6)";
+          const { geoJSON, errors } = geoWKT.readDelimited(tsv);
+          return { names: geoJSON.features.map((feature) => feature.properties.name), errors };
+        },
+        expected: {
+          names: ["A", "D"],
+          errors: [
+            { row: 3, line: 3, message: "POINT vertex must have 2 to 4 values at line 1, column 8" },
+            { row: 4, line: 4, message: "SRID 4326 does not match SRID 3857 of the first row" },
+          ],
+        },
+      },
+      {
+        name: "transform reprojects to Web Mercator and back",
+        run: () => {
+          const mercator = geoWKT.read("LINESTRING (180 0, -72.68 41.76)", "mercator", { transform: 3857 });
+          return {
+            x: Math.round(mercator[0].components[0][0] * 1000) / 1000,
+            crs: geoWKT.toGeoJSON(mercator).crs.properties.name,
+            back: geoWKT.toWKT(geoWKT.read(geoWKT.toWKT(mercator, { ewkt: true })[0], "back", { transform: 4326 }), {
+              precision: 6,
+            }),
+          };
+        },
+        expected: { x: 20037508.343, crs: "EPSG:3857", back: ["LINESTRING(180 0,-72.68 41.76)"] },
+      },
+      {
+        name: "validate reports a self-intersecting ring with its location",
+        run: () => geoWKT.validate(geoWKT.read("POLYGON ((0 0, 1 1, 1 0, 0 1, 0 0))", "bow tie")),
+        expected: {
+          valid: false,
+          issues: [
+            {
+              severity: "error",
+              reason: "Ring Self-intersection",
+              geometry: 0,
+              ring: 0,
+              vertex: 2,
+              location: [0.5, 0.5],
+            },
+          ],
+        },
+      },
+      {
+        name: "strict reading rejects an invalid geometry",
+        run: () => errorMessage(() => geoWKT.read("POLYGON ((0 0, 1 1, 1 0, 0 1, 0 0))", "bow tie", { strict: true })),
+        expected: "Invalid geometry: Ring Self-intersection at ring 0, vertex 2",
+      },
+      {
+        name: "validate finds a crossing in a 20,000-vertex ring well under two seconds",
+        run: () => {
+          const ring = [];
+          for (let i = 0; i < 20000; i++) {
+            const angle = (2 * Math.PI * i) / 20000;
+            ring.push([50 * Math.cos(angle), 50 * Math.sin(angle)]);
+          }
+          ring.splice(10, 0, [-80, 0.05]);
+          ring.push(ring[0]);
+          const start = Date.now();
+          const { issues } = geoWKT.validate({ type: "Polygon", coordinates: [ring] });
+          return [issues.map(({ reason, vertex }) => [reason, vertex]), Date.now() - start < 2000];
+        },
+        expected: [[["Ring Self-intersection", 9996]], true],
+      },
+      {
+        name: "validate checks a FeatureCollection of 60,000 Features well under two seconds",
+        run: () => {
+          const features = [];
+          for (let i = 0; i < 60000; i++) {
+            features.push({ type: "Feature", properties: {}, geometry: { type: "Point", coordinates: [i / 100, 1] } });
+          }
+          const start = Date.now();
+          const { issues } = geoWKT.validate({ type: "FeatureCollection", features });
+          return [issues.length, issues[0].geometry, Date.now() - start < 2000];
+        },
+        expected: [41999, 18001, true],
+      },
+      {
+        name: "rfc7946 splits a polygon at the antimeridian and writes its bbox",
+        run: () => {
+          const crossing = geoWKT.read("POLYGON ((170 -10, -170 -10, -170 10, 170 10, 170 -10))", "crossing");
+          const feature = geoWKT.toGeoJSON(crossing, { rfc7946: true }).features[0];
+          return { type: feature.geometry.type, parts: feature.geometry.coordinates.length, bbox: feature.bbox };
+        },
+        expected: { type: "MultiPolygon", parts: 2, bbox: [170, -10, -170, 10] },
+      },
+      {
+        name: "rfc7946 rewinds a clockwise shell and keeps a world-wide bbox",
+        run: () => {
+          const world = geoWKT.read("POLYGON ((-180 -90, -180 90, 180 90, 180 -90, -180 -90))", "world");
+          const feature = geoWKT.toGeoJSON(world, { rfc7946: true }).features[0];
+          return { ring: feature.geometry.coordinates[0], bbox: feature.bbox };
+        },
+        expected: {
+          ring: [[-180, -90], [180, -90], [180, 90], [-180, 90], [-180, -90]],
+          bbox: [-180, -90, 180, 90],
+        },
+      },
+      {
+        name: "rfc7946 handles a 200,000-vertex ring",
+        run: () => {
+          const ring = [];
+          for (let i = 0; i < 200000; i++) {
+            const angle = (2 * Math.PI * i) / 200000;
+            ring.push([-72.7 + 0.1 * Math.cos(angle), 41.5 + 0.1 * Math.sin(angle)]);
+          }
+          ring.push(ring[0]);
+          const large = geoWKT.fromGeoJSON({ type: "Polygon", coordinates: [ring] }, "large");
+          return geoWKT.toGeoJSON(large, { rfc7946: true }).features[0].geometry.coordinates[0].length;
+        },
+        expected: 200001,
+      },
+      {
+        name: "rfc7946 output for 30,000 points and a 50,000-line MULTILINESTRING takes well under three seconds",
+        run: () => {
+          const points = [];
+          for (let i = 0; i < 30000; i++) points.push({ type: "POINT", components: [(i % 360) - 180, (i % 170) - 85] });
+          const lines = [];
+          for (let i = 0; i < 50000; i++) lines.push([[i / 1000, 0], [i / 1000, 1]]);
+          const network = geoWKT.fromGeoJSON({ type: "MultiLineString", coordinates: lines });
+          const start = Date.now();
+          const scattered = geoWKT.toGeoJSON(points, { rfc7946: true });
+          const joined = geoWKT.toGeoJSON(network, { rfc7946: true });
+          return [scattered.bbox, joined.bbox, Date.now() - start < 3000];
+        },
+        expected: [[-180, -85, 179, 84], [0, 0, 49.999, 1], true],
+      },
+      {
+        name: "axisOrder auto swaps latitude-first coordinates outside the expected extent",
+        run: () => {
+          const [record] = geoWKT.read("LINESTRING (41.5 -72.7, 41.6 -72.6)", "swapped", {
+            axisOrder: "auto",
+            expectedExtent: [-74, 40, -71, 43],
+          });
+          return { coordinates: record.components, axisOrder: record.axisOrder };
+        },
+        expected: { coordinates: [[-72.7, 41.5], [-72.6, 41.6]], axisOrder: "yx" },
+      },
+      {
+        name: "axisOrder auto leaves longitude-first coordinates alone",
+        run: () => geoWKT.read("POINT (-72.7 41.5)", "unswapped", { axisOrder: "auto" })[0].axisOrder,
+        expected: "xy",
+      },
+      {
+        name: "readStream yields records across chunk boundaries and reports bad ones",
+        run: async () => {
+          const errors = [];
+          const records = [];
+          const source = ["POINT (1 ", "2)\nLINESTRING (0 0,", "\n 1 1)\nPOINT (3)\nPOINT (5 6)"];
+          for await (const record of geoWKT.readStream(source, "stream", { onError: (error) => errors.push(error) })) {
+            records.push(record.type);
+          }
+          return { records, errors: errors.map(({ index, line }) => [index, line]) };
+        },
+        expected: { records: ["POINT", "LINESTRING", "POINT"], errors: [[2, 4]] },
+      },
+      {
+        name: "readStream stops with the signal's reason when aborted",
+        run: async () => {
+          const controller = new AbortController();
+          const records = [];
+          try {
+            for await (const record of geoWKT.readStream("POINT (1 2)\nPOINT (3 4)\nPOINT (5 6)", "stream", {
+              signal: controller.signal,
+              chunkSize: 12,
+            })) {
+              records.push(record.components);
+              controller.abort(new Error("stopped"));
+            }
+          } catch (error) {
+            return { records, error: error.message };
+          }
+          return { records };
+        },
+        expected: { records: [[1, 2]], error: "stopped" },
+      },
+      {
+        name: "writeGeoJSONStream pieces join into the toGeoJSON FeatureCollection",
+        run: async () => {
+          const records = geoWKT.read("POINT (1 2)", "streamed");
+          let text = "";
+          for await (const piece of geoWKT.writeGeoJSONStream(records)) text += piece;
+          const { type, features, crs } = JSON.parse(text); // The crs member comes last in the stream
+          return { type, crs, features };
+        },
+        expected: geoWKT.toGeoJSON(geoWKT.read("POINT (1 2)", "streamed")),
+      },
+      {
+        name: "toGeoJSON explodes a GEOMETRYCOLLECTION of 200,000 members",
+        run: () => {
+          const geometries = [];
+          for (let i = 0; i < 200000; i++) geometries.push({ type: "Point", coordinates: [i / 1000, 1] });
+          const features = geoWKT.toGeoJSON(geoWKT.fromGeoJSON({ type: "GeometryCollection", geometries })).features;
+          return [features.length, features[199999].properties.memberIndex];
+        },
+        expected: [200000, 199999],
+      },
+      {
+        name: "properties, id, nameKey and mapProperties shape each Feature",
+        run: () => {
+          const records = geoWKT.read("POINT (1 2)", "Parcel 7", { properties: { id: 7, kind: "lot" } });
+          return geoWKT.toGeoJSON(records, {
+            id: { property: "id" },
+            nameKey: "label",
+            mapProperties: (properties) => Object.assign({}, properties, { kind: properties.kind.toUpperCase() }),
+          }).features[0];
+        },
+        expected: {
+          type: "Feature",
+          id: 7,
+          geometry: { type: "Point", coordinates: [1, 2] },
+          properties: { label: "Parcel 7", id: 7, kind: "LOT" },
+        },
+      },
+      {
+        name: "id auto numbers the Features of an exploded collection",
+        run: () => geoWKT.toGeoJSON(geoWKT.read("GEOMETRYCOLLECTION (POINT (1 2), POINT (3 4))", "gc"), {
+          id: "auto",
+        }).features.map((feature) => [feature.id, feature.properties.memberIndex]),
+        expected: [[1, 0], [2, 1]],
+      },
+      {
+        name: "length, area, centroid and bbox measure a polygon with a hole",
+        run: () => {
+          const [park] = geoWKT.read("POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), (4 4, 6 4, 6 6, 4 6, 4 4))", "park");
+          return [geoWKT.length(park), geoWKT.area(park), geoWKT.centroid(park), geoWKT.bbox(park)];
+        },
+        expected: [48, 96, [5, 5], [0, 0, 10, 10]],
+      },
+      {
+        name: "contains, intersects and distance compare a polygon with points",
+        run: () => {
+          const [park] = geoWKT.read("POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), (4 4, 6 4, 6 6, 4 6, 4 4))", "park");
+          const [bench, gate] = geoWKT.read("GEOMETRYCOLLECTION (POINT (5 5), POINT (2 2))", "points")[0].components;
+          return [
+            geoWKT.contains(park, bench),
+            geoWKT.contains(park, gate),
+            geoWKT.intersects(park, gate),
+            geoWKT.distance(park, bench),
+          ];
+        },
+        expected: [false, true, true, 1],
+      },
+      {
+        name: "geodesic length measures London to Paris on the ellipsoid",
+        run: () => Math.round(geoWKT.length(geoWKT.read("LINESTRING (-0.1278 51.5074, 2.3522 48.8566)", "trip")[0], {
+          geodesic: true,
+        })),
+        expected: 343923,
+      },
+      {
+        name: "measurements handle a 200,000-polygon MULTIPOLYGON and a 200,000-line MULTILINESTRING",
+        run: () => {
+          const polygons = [];
+          const lines = [];
+          for (let i = 0; i < 200000; i++) {
+            polygons.push([[[i, 0], [i + 1, 0], [i, 1], [i, 0]]]);
+            lines.push([[i / 1000, 0.5], [i / 1000, 0.6]]);
+          }
+          const parcels = { type: "MULTIPOLYGON", components: polygons, dimension: "XY" };
+          const network = { type: "MULTILINESTRING", components: lines, dimension: "XY" };
+          const box = geoWKT.read("POLYGON ((-1 -1, 300 -1, 300 2, -1 2, -1 -1))")[0];
+          const point = geoWKT.read("POINT (-5 0.5)")[0];
+          return [
+            Math.round(geoWKT.length(parcels)),
+            geoWKT.bbox(parcels),
+            geoWKT.contains(box, network),
+            geoWKT.intersects(point, network),
+            geoWKT.distance(point, network),
+          ];
+        },
+        expected: [682843, [0, 0, 200000, 1], true, false, 5],
+      },
+      {
+        name: "precision rounds and drops the repeated vertices rounding leaves",
+        run: () => geoWKT.toWKT(geoWKT.read("LINESTRING (1.123456 2.987654, 1.1234561 2.9876541, 3 4)", "rounded"), {
+          precision: 3,
+        }),
+        expected: ["LINESTRING(1.123 2.988,3 4)"],
+      },
+      {
+        name: "simplify drops vertices within tolerance with either algorithm",
+        run: () => {
+          const records = geoWKT.read("LINESTRING (0 0, 1 0.01, 2 0, 3 5)", "simplified");
+          return geoWKT
+            .toWKT(records, { simplify: 0.1 })
+            .concat(geoWKT.toWKT(records, { simplify: { tolerance: 0.1, algorithm: "visvalingam" } }));
+        },
+        expected: ["LINESTRING(0 0,2 0,3 5)", "LINESTRING(0 0,2 0,3 5)"],
+      },
+      {
+        name: "precision on a 20,000-vertex ring takes well under two seconds",
+        run: () => {
+          const ring = [];
+          for (let i = 0; i < 20000; i++) {
+            const angle = (2 * Math.PI * i) / 20000;
+            ring.push([-72.7 + 0.01 * Math.cos(angle), 41.5 + 0.01 * Math.sin(angle)]);
+          }
+          ring.push(ring[0]);
+          const parcel = geoWKT.fromGeoJSON({ type: "Polygon", coordinates: [ring] }, "parcel");
+          const start = Date.now();
+          geoWKT.toWKT(parcel, { precision: 6 });
+          geoWKT.toWKT(parcel, { precision: 6, simplify: 1e-9 });
+          return Date.now() - start < 2000;
+        },
+        expected: true,
+      },
+      {
+        name: "a CIRCULARSTRING is linearized by maxAngle and written back as a curve",
+        run: () => {
+          const records = geoWKT.read("CIRCULARSTRING (0 0, 1 1, 2 0)", "arc", { linearize: { maxAngle: 45 } });
+          return [records[0].type, records[0].components.length, geoWKT.toWKT(records)[0]];
+        },
+        expected: ["LINESTRING", 5, "CIRCULARSTRING(0 0,1 1,2 0)"],
+      },
+      {
+        name: "linearize caps the segments of a finely divided arc and rejects unusable limits",
+        run: () => {
+          const arc = "CIRCULARSTRING (0 0, 1 1, 2 0)";
+          const points = (linearize) => geoWKT.read(arc, "arc", { linearize })[0].components.length;
+          return [
+            points({ maxError: 1e-20 }),
+            points({ maxAngle: 0.0005 }),
+            errorMessage(() => geoWKT.read(arc, "arc", { linearize: { maxAngle: Infinity } })),
+            errorMessage(() => geoWKT.read(arc, "arc", { linearize: { maxError: 0 } })),
+          ];
+        },
+        expected: [32769, 32769, "Invalid linearize maxAngle: Infinity", "Invalid linearize maxError: 0"],
+      },
+      {
+        name: "surfaceMode explode handles a TIN of 200,000 faces, alone and in a GEOMETRYCOLLECTION",
+        run: () => {
+          const faces = [];
+          for (let i = 0; i < 200000; i++) faces.push([[[i, 0], [i + 1, 0], [i, 1], [i, 0]]]);
+          const tin = { type: "TIN", components: faces, dimension: "XY" };
+          const collection = { type: "GEOMETRYCOLLECTION", components: [tin], dimension: "XY" };
+          return [tin, collection].map((record) => {
+            const { features } = geoWKT.toGeoJSON([record], { surfaceMode: "explode" });
+            return [features.length, features[199999].properties.faceIndex];
+          });
+        },
+        expected: [
+          [200000, 199999],
+          [200000, 199999],
+        ],
+      },
+      {
+        name: "toKML writes a Placemark with its name, ExtendedData and altitude",
+        run: () => {
+          const records = geoWKT.read("POINT Z (-72.7 41.5 12)", "Gate", { properties: { note: "a<b" } });
+          return geoWKT.toKML(records).split("\n").slice(4, 9).map((line) => line.trim());
+        },
+        expected: [
+          "<name>Gate</name>",
+          "<ExtendedData>",
+          '<Data name="note"><value>a&lt;b</value></Data>',
+          "</ExtendedData>",
+          "<Point><altitudeMode>absolute</altitudeMode><coordinates>-72.7,41.5,12</coordinates></Point>",
+        ],
+      },
+      {
+        name: "toGPX writes points as waypoints and lines as tracks",
+        run: () => {
+          const gpx = geoWKT.toGPX(geoWKT.read("GEOMETRYCOLLECTION (POINT (1 2), LINESTRING (0 0, 1 1))", "Walk"));
+          return gpx.match(/<(wpt|trk|trkpt) [^>]*>|<trk>/g);
+        },
+        expected: ['<wpt lat="2" lon="1">', "<trk>", '<trkpt lat="0" lon="0">', '<trkpt lat="1" lon="1">'],
+      },
+      {
+        name: "toGPX refuses polygons unless polygonMode says otherwise",
+        run: () => errorMessage(() => geoWKT.toGPX(geoWKT.read("POLYGON ((0 0, 1 0, 1 1, 0 0))", "lot"))),
+        expected: 'GPX has no polygon type: record 0 is a POLYGON; set polygonMode to "skip" or "track"',
+      },
+      {
+        name: "toGPX handles a collection holding a MULTIPOINT of 200,000 points",
+        run: () => {
+          const points = [];
+          for (let i = 0; i < 200000; i++) points.push([i / 10000, 0]);
+          const collection = geoWKT.fromGeoJSON(
+            { type: "GeometryCollection", geometries: [{ type: "MultiPoint", coordinates: points }] },
+            "many points"
+          );
+          return geoWKT.toGPX(collection).split("<wpt ").length - 1;
+        },
+        expected: 200000,
+      },
+      {
+        name: "readEsriJSON reads empty rings and paths as single EMPTY types",
+        run: () => {
+          const empties = [{ rings: [] }, { paths: [], hasZ: true }, { x: null }];
+          return geoWKT.toWKT(empties.map((esri) => geoWKT.readEsriJSON(esri)[0]));
+        },
+        expected: ["POLYGON EMPTY", "LINESTRING Z EMPTY", "POINT EMPTY"],
+      },
+      {
+        name: "readEsriJSON groups clockwise shells with the holes inside them",
+        run: () => {
+          const esri = {
+            rings: [
+              [[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]],
+              [[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]],
+              [[20, 0], [20, 1], [21, 1], [21, 0], [20, 0]],
+            ],
+            spatialReference: { wkid: 102100 },
+          };
+          const [record] = geoWKT.readEsriJSON(esri, "lots");
+          return [record.type, record.srid, record.components.map((polygon) => polygon.length)];
+        },
+        expected: ["MULTIPOLYGON", 3857, [2, 1]],
+      },
+      {
+        name: "toEsriJSON winds shells clockwise and holes counter-clockwise",
+        run: () => {
+          const lot = geoWKT.read("POLYGON ((0 0, 1 0, 1 1, 0 0), (0.6 0.2, 0.8 0.4, 0.8 0.2, 0.6 0.2))", "lot");
+          return geoWKT.toEsriJSON(lot);
+        },
+        expected: [
+          {
+            rings: [
+              [[0, 0], [1, 1], [1, 0], [0, 0]],
+              [[0.6, 0.2], [0.8, 0.2], [0.8, 0.4], [0.6, 0.2]],
+            ],
+            spatialReference: { wkid: 4326 },
+          },
+        ],
+      },
+      {
+        name: "the command-line converter keeps input paths under --out-dir and sets its exit code",
+        run: () => {
+          const fs = require("fs");
+          const os = require("os");
+          const path = require("path");
+          const { main } = require("./GeoWKTerCLI.js");
+          const directory = fs.mkdtempSync(path.join(os.tmpdir(), "geowkter-"));
+          fs.mkdirSync(path.join(directory, "in", "a"), { recursive: true });
+          fs.mkdirSync(path.join(directory, "in", "b"));
+          fs.writeFileSync(path.join(directory, "in", "a", "x.wkt"), "POINT (1 2)\nPOINT (3 4)\n");
+          fs.writeFileSync(path.join(directory, "in", "b", "x.wkt"), "POINT (5 6)\nPOINT (7)\n");
+          const input = (name) => path.join(directory, "in", name);
+          const outDir = path.join(directory, "out");
+          const count = (file) => JSON.parse(fs.readFileSync(path.join(outDir, file), "utf8")).features.length;
+
+          const skipped = main([`${directory}/in/**/*.wkt`, "--out-dir", outDir, "--errors", "skip"]);
+          const result = [skipped, count("a/x.geojson"), count("b/x.geojson")];
+          result.push(main([input("a/x.wkt"), input("b/x.wkt"), "--out-dir", path.join(directory, "clash")]));
+          result.push(fs.existsSync(path.join(directory, "clash")));
+          fs.rmSync(directory, { recursive: true });
+          return result;
+        },
+        expected: [1, 2, 1, 2, false],
+      },
+      {
+        name: "the command-line converter refuses --pretty with --reverse and writes one record per line",
+        run: () => {
+          const fs = require("fs");
+          const os = require("os");
+          const path = require("path");
+          const { main } = require("./GeoWKTerCLI.js");
+          const directory = fs.mkdtempSync(path.join(os.tmpdir(), "geowkter-"));
+          const input = path.join(directory, "roads.geojson");
+          const output = path.join(directory, "roads.wkt");
+          const roads = [[[0, 0], [1, 1]], [[2, 2], [3, 3]]].map((line) => ({
+            type: "Feature",
+            properties: {},
+            geometry: { type: "MultiLineString", coordinates: [line, line] },
+          }));
+          fs.writeFileSync(input, JSON.stringify({ type: "FeatureCollection", features: roads }));
+          const result = [main(["--reverse", "--pretty", input, "-o", output]), fs.existsSync(output)];
+          result.push(main(["--reverse", input, "-o", output]), fs.readFileSync(output, "utf8").split("\n"));
+          fs.rmSync(directory, { recursive: true });
+          return result;
+        },
+        expected: [2, false, 0, ["MULTILINESTRING((0 0,1 1),(0 0,1 1))", "MULTILINESTRING((2 2,3 3),(2 2,3 3))", ""]],
+      },
+      {
+        name: "repair fixes a split type name, decimal commas and a missing parenthesis",
+        run: () => {
+          const [record] = geoWKT.read("MULTI POINT (1,5 2, 3 4", "repaired", { repair: true });
+          const warnings = record.warnings.map(({ message, column }) => [message, column]);
+          return { components: record.components, warnings };
+        },
+        expected: {
+          components: [[1.5, 2], [3, 4]],
+          warnings: [
+            ['Read "MULTI POINT" as MULTIPOINT', 1],
+            ["Read decimal commas as decimal points", 15],
+            ['Added a missing ")"', 24],
+          ],
+        },
+      },
+      {
+        name: "repairWKT closes an open ring and reports where",
+        run: () => geoWKT.repairWKT("POLYGON((0 0,1 0,1 1))"),
+        expected: {
+          wkt: "POLYGON((0 0, 1 0, 1 1, 0 0))",
+          warnings: [{ message: 'Closed ring by repeating its first vertex "0 0"', offset: 20, line: 1, column: 21 }],
+        },
+      },
+      {
+        name: "a type registered globally with a baseType goes through every stage",
+        run: () => {
+          GeoWKTer.registerType("PARCEL", { baseType: "POLYGON", wkbCode: 901 });
+          const records = new GeoWKTer().read("PARCEL ((0 0, 4 0, 4 3, 0 0))", "lot");
+          const wkb = geoWKT.toWKB(records)[0];
+          return [
+            geoWKT.validate(records).valid,
+            geoWKT.toWKT(records)[0],
+            geoWKT.toGeoJSON(records).features[0].geometry.type,
+            wkb.slice(0, 10),
+            geoWKT.toWKT(geoWKT.readWKB(wkb))[0],
+            /<Polygon>/.test(geoWKT.toKML(records)),
+            geoWKT.toEsriJSON(records)[0].rings,
+            geoWKT.length(records[0]),
+            geoWKT.area(records[0]),
+          ];
+        },
+        expected: [
+          true,
+          "PARCEL((0 0,4 0,4 3,0 0))",
+          "Polygon",
+          "0185030000",
+          "PARCEL((0 0,4 0,4 3,0 0))",
+          true,
+          [[[0, 0], [4, 3], [4, 0], [0, 0]]],
+          12,
+          6,
+        ],
+      },
+      {
+        name: "a type registered on one instance is unknown to another",
+        run: () => {
+          const tracks = new GeoWKTer();
+          const other = new GeoWKTer();
+          tracks.registerType("TRACK", { baseType: "MULTILINESTRING", wkbCode: 902 });
+          const records = tracks.read("TRACK ((0 0, 3 4), (3 4, 3 0))", "walk");
+          return [
+            tracks.length(records[0]),
+            tracks.toWKT(tracks.readWKB(tracks.toWKB(records)[0]))[0],
+            (tracks.toGPX(records).match(/<trkseg>/g) || []).length,
+            errorMessage(() => other.read("TRACK ((0 0, 3 4))")),
+            errorMessage(() => other.toWKB(records)),
+            other.validate(records).issues,
+          ];
+        },
+        expected: [
+          9,
+          "TRACK((0 0,3 4),(3 4,3 0))",
+          2,
+          "Unsupported WKT type: TRACK at line 1, column 1",
+          "Unsupported WKB geometry type: TRACK",
+          [{ severity: "error", reason: "Unknown geometry type", geometry: 0, type: "TRACK" }],
+        ],
+      },
+      {
+        name: "a type registered without a baseType is reported by validate and refused by the writers",
+        run: () => {
+          geoWKT.registerType("BAG", {
+            parse(tokenizer, context) {
+              return this.readMultiPointText(tokenizer, context);
+            },
+          });
+          const records = geoWKT.read("BAG ((1 2))");
+          return [
+            geoWKT.validate(records).valid,
+            errorMessage(() => geoWKT.toKML(records)),
+            errorMessage(() => geoWKT.area(records[0])),
+          ];
+        },
+        expected: [false, "Unsupported KML type: BAG", "Unsupported geometry type: BAG"],
+      },
+      {
+        name: "regExes.typeStr captures the type and contents of any registered type",
+        run: () => {
+          const registering = new GeoWKTer();
+          registering.registerType("PLOT", { baseType: "POLYGON" });
+          const capture = (wkt) => (registering.regExes.typeStr.exec(wkt) || []).slice(1);
+          return [capture("POINT Z (1 2 3)"), capture("PLOT ((0 0, 1 0, 1 1, 0 0))"), capture("FOO (1 2)")];
+        },
+        expected: [["POINT", "1 2 3"], ["PLOT", "(0 0, 1 0, 1 1, 0 0)"], []],
+      },
+    ];
+
+    behaviourChecks.forEach(({ name, run, expected }) => {
+      // A check may return a Promise, for the streaming APIs
+      Promise.resolve()
+        .then(run)
+        .then(
+          (actual) => {
+            const matches = JSON.stringify(actual) === JSON.stringify(expected);
+            console.log(`Behaviour: ${name} (${matches ? "match" : `MISMATCH, got ${JSON.stringify(actual)}`})`);
+          },
+          (error) => console.error(`Error in behaviour check "${name}":`, error.message)
+        );
+    });
   }
   
   // Export the function